@@ -1,14 +1,72 @@
+const fs = require("fs"); // Watches the configuration files for changes
+const crypto = require("crypto"); // Compares the token of admin requests in constant time
+const path = require("path"); // Locates the dashboard page
+const { isDeepStrictEqual } = require("util"); // Finds the sections of a reloaded configuration that changed
 const exampleWorkerManager = require("./workerManager"); // Imports the worker manager module, which handles the creation, management, and communication with worker processes.
 const express = require("express"); // Express is a minimal and flexible Node.js web application framework that provides a robust set of features for web and mobile applications.
 const bodyParser = require("body-parser"); // body-parser is a middleware used to extract the entire body portion of an incoming request stream and exposes it on `req.body`. It's used to parse incoming request bodies in a middleware before your handlers.
-const logger = require("./logger"); // Imports a custom logger module based on the 'winston' module
+const logger = require("./logger").child({ module: "app" }); // Imports a custom logger module based on the 'winston' module
+const { ERROR_CODES } = require("./errors"); // Error codes reported by the worker manager
+const { createMetricsRegistry } = require("./metrics"); // Prometheus metrics of the worker manager
+const { FileTaskStore } = require("./taskStore"); // Journal file that persists queued tasks across restarts
+const { JobManager } = require("./jobManager"); // Asynchronous jobs with results fetched by task id
+const { Scheduler } = require("./scheduler"); // Pool tasks run on cron or interval schedules
+const { POOL_TASK_SCHEMA, JOB_SCHEMA, ONE_SHOT_TASK_SCHEMA, ADMIN_POOL_SCHEMA, ADMIN_POOL_UPDATE_SCHEMA, ADMIN_SCHEDULE_SCHEMA, validateBody } = require("./validation"); // JSON schemas of the request bodies
+const { validateConfig } = require("./configSchema"); // JSON schema of the configuration
 const config = require('config'); // The 'config' module provides a way to organize hierarchical configurations for your app deployments. It lets you define a set of default parameters, and extend them for different deployment environments (e.g., development, QA, production).
 
+// Fail fast on an invalid configuration, e.g. a misspelled setting, before anything is started
+const CONFIG_ERRORS = validateConfig(config.util.toObject(config));
+if (CONFIG_ERRORS.length) {
+    logger.error(`Invalid configuration:\n  ${CONFIG_ERRORS.join("\n  ")}`);
+    process.exit(1);
+}
+
 // Configuration values from the file /config/default.js
 const PORT = config.get('httpServerConfig.port');
 const REQUEST_BODY_LIMIT = config.get('httpServerConfig.requestBodyLimit');
+// Shortest `taskTimeout` a request may ask for, as a timed out task kills its worker
+const MIN_TASK_TIMEOUT_MS = config.has('httpServerConfig.minTaskTimeoutMs') ? config.get('httpServerConfig.minTaskTimeoutMs') : 1000;
+const SHUTDOWN_CONFIG = config.has('shutdownConfig') ? config.get('shutdownConfig') : {};
+const JOB_CONFIG = config.has('jobConfig') ? config.get('jobConfig') : {};
+// One-shot workers may only run the scripts registered here, by script id
+const ONE_SHOT_SCRIPTS = config.has('oneShotConfig.scripts') ? config.get('oneShotConfig.scripts') : {};
+const MAX_ONE_SHOT_WORKERS = config.has('oneShotConfig.maxConcurrentWorkers') ? config.get('oneShotConfig.maxConcurrentWorkers') : Infinity;
+// The admin routes are only set up if enabled, and create pools only from the scripts registered here, by script id
+const ADMIN_CONFIG = { enabled: false, scripts: {}, ...config.has('adminConfig') ? config.get('adminConfig') : {} };
+// Reloading the pool definitions on SIGHUP, and on changes of the configuration files if `watch` is set
+const CONFIG_RELOAD = { watch: false, debounceMs: 500, ...config.has('configReload') ? config.get('configReload') : {} };
+
+// HTTP status codes for failed tasks, all other errors are answered with 500
+const ERROR_STATUS_CODES = {
+    [ERROR_CODES.POOL_NOT_FOUND]: 404,
+    [ERROR_CODES.POOL_EXISTS]: 409,
+    [ERROR_CODES.POOL_REMOVED]: 503,
+    [ERROR_CODES.INVALID_POOL_CONFIG]: 400,
+    [ERROR_CODES.QUEUE_FULL]: 503,
+    [ERROR_CODES.POOL_UNAVAILABLE]: 503,
+    [ERROR_CODES.WORKER_CRASHED]: 502,
+    [ERROR_CODES.TASK_TIMEOUT]: 504,
+    [ERROR_CODES.SHUTTING_DOWN]: 503,
+    [ERROR_CODES.INVALID_JOB]: 400,
+    [ERROR_CODES.TASK_ABORTED]: 409,
+    [ERROR_CODES.INVALID_REQUEST]: 400,
+    [ERROR_CODES.ONE_SHOT_LIMIT_REACHED]: 503,
+    [ERROR_CODES.WORKER_NOT_FOUND]: 404,
+    [ERROR_CODES.SCHEDULE_NOT_FOUND]: 404,
+    [ERROR_CODES.SCHEDULE_EXISTS]: 409,
+    [ERROR_CODES.INVALID_SCHEDULE]: 400,
+    [ERROR_CODES.SCHEDULE_BUSY]: 409,
+    [ERROR_CODES.UNAUTHORIZED]: 401,
+};
 
 const app = express();
+const metricsRegistry = createMetricsRegistry(exampleWorkerManager);
+const jobManager = new JobManager(exampleWorkerManager, JOB_CONFIG);
+const scheduler = new Scheduler(exampleWorkerManager);
+let server = null;
+let shuttingDown = false;
+let poolsInitialized = false; // pool definitions are reloaded once the configured pools exist
 
 // Middleware configuration
 // Parse URL-encoded bodies and set a size limit
@@ -16,16 +74,36 @@ app.use(bodyParser.urlencoded({ extended: true, limit: REQUEST_BODY_LIMIT }));
 // Parse JSON bodies and set a size limit
 app.use(bodyParser.json({ limit: REQUEST_BODY_LIMIT }));
 
-initializeServer();
+initializeServer().catch((err) => {
+    logger.error(`Server initialization failed: ${err.message}`);
+    processTermination(1);
+});
 
 /**
  * Initializes the server by spawning worker processes, setting up HTTP routes, 
  * and registering process termination handlers.
+ * The HTTP server starts listening once the worker pools are ready.
  */
-function initializeServer() {
+async function initializeServer() {
+
+    // Set up process termination handlers to gracefully handle shutdown scenarios, also while the pools initialize
+    process.on("exit", () => exampleWorkerManager.terminateWorkers()); // Last resort if the process exits without shutdown
+    process.on("SIGINT", () => processTermination()); // Handle Ctrl+C
+    process.on("SIGTERM", () => processTermination()); // Handle kill command
+    process.on("SIGHUP", () => reloadPoolConfigs("SIGHUP")); // Reload the pool definitions, instead of terminating
+
+    exampleWorkerManager.setOneShotWorkerLimit(MAX_ONE_SHOT_WORKERS);
+
+    // Persist pool tasks if a task store is configured, unfinished tasks are replayed by initWorkerPools
+    if (config.has('taskStore')) {
+        exampleWorkerManager.setTaskStore(new FileTaskStore(config.get('taskStore')));
+    }
 
-    if (config.has('workerPool')) {
-        exampleWorkerManager.initWorkerPools(config.get('workerPool'))
+    if (config.has('workerPools')) {
+        const ready = await exampleWorkerManager.initWorkerPools(config.get('workerPools'));
+        if (!ready) {
+            logger.warn("Not all worker pools are ready, starting the server anyway");
+        }
         // Periodically log worker stats mainly for debugging purposes
         if (config.has('logWorkerStats') && config.get('logWorkerStats') === true) {
             setInterval(() => {
@@ -33,30 +111,145 @@ function initializeServer() {
             }, 1000);
         }
     } else {
-        logger.warn("no 'workerPool' in config");
+        logger.warn("no 'workerPools' in config");
+    }
+
+    poolsInitialized = true;
+
+    // Start the schedules once their pools exist
+    if (config.has('schedules') && !shuttingDown) {
+        for (const schedule of config.get('schedules')) {
+            const result = scheduler.addSchedule(schedule);
+            if (!result.ok) {
+                logger.error(`Schedule ${schedule.name} not started: ${result.message}`);
+            }
+        }
+    }
+    if (CONFIG_RELOAD.watch) {
+        watchConfigFiles();
     }
 
     // Set up HTTP routes for the server
     setupHTTP_routes();
+    if (ADMIN_CONFIG.enabled) {
+        setupAdminHTTP_routes();
+    }
+    setupMetricsHTTP_route();
+    setupJobHTTP_routes();
+    setupPoolHTTP_routes();
+    setupScheduleHTTP_routes();
+    setupHealthHTTP_routes();
+
+    // The process is terminating while the pools initialized
+    if (shuttingDown) {
+        return;
+    }
 
     // Start the HTTP server on the configured port
-    app.listen(PORT, () => {
+    server = app.listen(PORT, () => {
         logger.info(`Server started on http://localhost:${PORT}`);
     });
+}
 
-    // Set up process termination handlers to gracefully handle shutdown scenarios
-    process.on("exit", processTermination);
-    process.on("SIGINT", processTermination); // Handle Ctrl+C
-    process.on("SIGTERM", processTermination); // Handle kill command
+/**
+ * Reloads the configuration files and applies changed pool definitions to the running pools:
+ * new pools are added, removed pools are drained, and changed pools are resized or their workers replaced.
+ * An invalid configuration is rejected as a whole. Other sections take effect after a restart.
+ * @param {string} reason - What triggered the reload, for the log.
+ */
+function reloadPoolConfigs(reason) {
+    if (shuttingDown) {
+        return;
+    }
+    if (!poolsInitialized) {
+        logger.warn(`Configuration not reloaded (${reason}), the worker pools are still initializing`);
+        return;
+    }
+    let newConfig;
+    try {
+        newConfig = config.util.loadFileConfigs();
+    } catch (err) {
+        logger.error(`Reloading the configuration (${reason}) failed: ${err.message}`);
+        return;
+    }
+    const errors = validateConfig(newConfig);
+    if (errors.length) {
+        logger.error(`Invalid configuration (${reason}), the running pools are kept:\n  ${errors.join("\n  ")}`);
+        return;
+    }
+
+    let result;
+    try {
+        result = exampleWorkerManager.applyPoolConfigs(newConfig.workerPools || []);
+    } catch (err) {
+        logger.error(`Reloading the pool definitions (${reason}) failed, the running pools are kept: ${err.message}`);
+        return;
+    }
+    if (!result.ok) {
+        logger.error(`Reloading the pool definitions (${reason}) failed: ${result.message}`);
+        return;
+    }
+    const { added, removed, reloaded, updated } = result;
+    logger.info(`Configuration reloaded (${reason}): added [${added}], removed [${removed}], reloaded [${reloaded}], updated [${updated}]`);
+
+    const runningConfig = config.util.toObject(config);
+    const restartSections = Object.keys({ ...runningConfig, ...newConfig })
+        .filter((section) => section !== "workerPools" && !isDeepStrictEqual(runningConfig[section], newConfig[section]));
+    if (restartSections.length) {
+        logger.warn(`Changes of ${restartSections.join(", ")} take effect after a restart`);
+    }
+}
+
+/**
+ * Reloads the pool definitions when a file in the configuration directory changes.
+ * Editors write files in several steps, so changes are collected for `configReload.debounceMs`.
+ */
+function watchConfigFiles() {
+    const configDir = config.util.getEnv("NODE_CONFIG_DIR");
+    let timer = null;
+    try {
+        fs.watch(configDir, { persistent: false }, (eventType, filename) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => reloadPoolConfigs(`${filename} changed`), CONFIG_RELOAD.debounceMs);
+        });
+    } catch (err) {
+        logger.error(`Watching the configuration directory ${configDir} failed: ${err.message}`);
+    }
 }
 
 /**
- * Handles the termination of the process by shutting down worker processes gracefully.
+ * Handles the termination of the process: stops accepting HTTP connections, shuts the worker
+ * manager down, so that pending requests are answered, and waits for the HTTP server to close.
+ * @param {number} [exitCode=0] - Exit code of the process, e.g. 1 if the server could not be initialized.
  */
-function processTermination() {
-    exampleWorkerManager.terminateWorkers();
-    //exampleWorkerManager.terminateWorkers('MEM');
-    process.exit(0);
+async function processTermination(exitCode = 0) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    scheduler.stop();
+
+    // Terminated before the worker pools were ready, the HTTP server was not started yet
+    if (!server) {
+        await exampleWorkerManager.shutdown(SHUTDOWN_CONFIG).catch((err) => logger.error(`Shutdown of worker manager failed: ${err.message}`));
+        process.exit(exitCode);
+    }
+
+    const serverClosed = new Promise((resolve) => server.close(resolve));
+    server.closeIdleConnections();
+    try {
+        await exampleWorkerManager.shutdown(SHUTDOWN_CONFIG);
+    } catch (err) {
+        logger.error(`Shutdown of worker manager failed: ${err.message}`);
+    }
+
+    // All tasks are answered now, give the responses a moment to be sent before closing the connections
+    server.closeIdleConnections();
+    const timer = setTimeout(() => server.closeAllConnections(), 1000);
+    await serverClosed;
+    clearTimeout(timer);
+    logger.info("HTTP server closed");
+    process.exit(exitCode);
 }
 
 /**
@@ -77,25 +270,73 @@ async function logWorkerStats(poolName = null) {
  * Sets up HTTP routes for dispatching tasks to workers.
  * 
  * The `/example/pool` endpoint is for dispatching tasks to a specific worker pool.
- * The `/example/oneShot` endpoint is for dispatching tasks to a one-shot worker.
+ * The `/example/pool/stream` endpoint does the same, but streams the task's progress and partial results as NDJSON.
+ * The `/example/oneShot` endpoint is for dispatching tasks to a one-shot worker running one of the scripts of `oneShotConfig.scripts`.
+ * Request bodies are validated against the schemas in `validation.js`.
  */
 function setupHTTP_routes() {
 
     // pool worker example endpoint
-    app.post(`/example/pool`, async (req, res) => {
+    app.post(`/example/pool`, validateBody(POOL_TASK_SCHEMA), async (req, res) => {
         try {
-            const { poolName, workerTask } = req.body;
+            const { poolName, workerTask, taskTimeout, priority, tenant, affinityKey } = req.body;
+            const timeoutError = checkTaskTimeout(poolName, taskTimeout);
+            if (timeoutError) {
+                res.status(400).send({ error: timeoutError, code: ERROR_CODES.INVALID_REQUEST });
+                return;
+            }
             const callback = function (message) {
                 if (message.ok) {
                     res.status(200).send(message);
                 } else {
-                    res.status(500).send(message);
+                    res.status(getErrorStatus(message.error?.code)).send(message);
+                }
+            };
+            let result = exampleWorkerManager.executePoolWorkerTask({ data: workerTask }, callback, poolName, { timeout: taskTimeout, priority, tenant, affinityKey });
+            if (!result.ok) {
+                res.status(getErrorStatus(result.code)).send({ error: result.message, code: result.code });
+            }
+        } catch (err) {
+            // Handle any errors that occur while sending the task
+            res.status(500).send({ error: err.message });
+        }
+    });
+
+    // pool worker example endpoint streaming progress and partial results as NDJSON
+    app.post(`/example/pool/stream`, validateBody(POOL_TASK_SCHEMA), async (req, res) => {
+        try {
+            const { poolName, workerTask, taskTimeout, priority, tenant, affinityKey } = req.body;
+            const timeoutError = checkTaskTimeout(poolName, taskTimeout);
+            if (timeoutError) {
+                res.status(400).send({ error: timeoutError, code: ERROR_CODES.INVALID_REQUEST });
+                return;
+            }
+            const writeLine = (message) => res.write(JSON.stringify(message) + "\n");
+            const callback = function (message) {
+                if (!res.destroyed) {
+                    writeLine(message);
+                    res.end();
                 }
             };
-            let result = exampleWorkerManager.executePoolWorkerTask({ data: workerTask }, callback, poolName);
+            const result = exampleWorkerManager.executePoolWorkerTask({ data: workerTask }, callback, poolName, {
+                timeout: taskTimeout,
+                priority,
+                tenant,
+                affinityKey,
+                onProgress: writeLine,
+            });
+            // The task was not queued, answered with its status code before the stream starts
             if (!result.ok) {
-                res.status(500).send({ error: result.message });
+                res.status(getErrorStatus(result.code)).send({ error: result.message, code: result.code });
+                return;
             }
+            res.status(200).type("application/x-ndjson");
+            // Cancel the task if the client goes away before it is answered
+            res.on("close", () => {
+                if (!res.writableFinished) {
+                    exampleWorkerManager.cancelTask(result.taskId);
+                }
+            });
         } catch (err) {
             // Handle any errors that occur while sending the task
             res.status(500).send({ error: err.message });
@@ -103,21 +344,377 @@ function setupHTTP_routes() {
     });
 
     // one-shot worker example endpoint
-    app.post(`/example/oneShot`, async (req, res) => {
+    app.post(`/example/oneShot`, validateBody(ONE_SHOT_TASK_SCHEMA), async (req, res) => {
         try {
-            const { workerScript, workerTask, workerMemoryLimit } = req.body;
+            const { scriptId, workerTask, workerMemoryLimit, taskTimeout } = req.body;
+            if (!Object.hasOwn(ONE_SHOT_SCRIPTS, scriptId)) {
+                res.status(400).send({ error: `Unknown one-shot script ${scriptId}`, code: ERROR_CODES.INVALID_REQUEST });
+                return;
+            }
+            // The memory limit of a script is the default and the maximum of its workers
+            const { workerScript, workerMemoryLimit: maxMemoryLimit, ...processOptions } = ONE_SHOT_SCRIPTS[scriptId];
+            if (workerMemoryLimit > maxMemoryLimit) {
+                res.status(400).send({ error: `workerMemoryLimit exceeds the limit of ${maxMemoryLimit} MB of one-shot script ${scriptId}`, code: ERROR_CODES.INVALID_REQUEST });
+                return;
+            }
             const callback = function (message) {
                 if (message.ok) {
                     res.status(200).send(message);
                 } else {
-                    res.status(500).send(message);
+                    res.status(getErrorStatus(message.error?.code)).send(message);
                 }
             };
-            exampleWorkerManager.executeOneShotWorkerTask(workerScript, { data: workerTask }, callback, workerMemoryLimit);
+            let result = exampleWorkerManager.executeOneShotWorkerTask(workerScript, { data: workerTask }, callback, workerMemoryLimit ?? maxMemoryLimit, taskTimeout, null, processOptions);
+            if (!result.ok) {
+                res.status(getErrorStatus(result.code)).send({ error: result.message, code: result.code });
+            }
         } catch (err) {
             // Handle any errors that occur while sending the task
             res.status(500).send({ error: err.message });
         }
     });
 
+}
+
+/**
+ * Sets up HTTP routes for administrating worker pools at runtime, if `adminConfig.enabled` is set.
+ * With `adminConfig.token`, requests must send it as `Authorization: Bearer <token>`.
+ *
+ * `POST /admin/pools` creates a pool running one of the scripts of `adminConfig.scripts`, from a pool config with its `scriptId`.
+ * `PATCH /admin/pools/:name` resizes a pool (`{ "workerCount": <n> }`) and/or reloads its workers (`{ "reload": true }`).
+ * `DELETE /admin/pools/:name` removes a pool, after finishing its tasks unless `?drain=false` is given.
+ */
+function setupAdminHTTP_routes() {
+
+    if (!ADMIN_CONFIG.token) {
+        logger.warn("The admin routes are enabled without adminConfig.token, every HTTP client can change the worker pools and schedules");
+    }
+    app.use(`/admin`, authorizeAdmin);
+
+    app.post(`/admin/pools`, validateBody(ADMIN_POOL_SCHEMA), (req, res) => {
+        const { scriptId, workerMemoryLimit, ...poolSettings } = req.body;
+        if (!Object.hasOwn(ADMIN_CONFIG.scripts, scriptId)) {
+            res.status(400).send({ error: `Unknown pool script ${scriptId}`, code: ERROR_CODES.INVALID_REQUEST });
+            return;
+        }
+        // The memory limit of a script is the default and the maximum of its workers
+        const script = ADMIN_CONFIG.scripts[scriptId];
+        if (workerMemoryLimit > script.workerMemoryLimit) {
+            res.status(400).send({ error: `workerMemoryLimit exceeds the limit of ${script.workerMemoryLimit} MB of pool script ${scriptId}`, code: ERROR_CODES.INVALID_REQUEST });
+            return;
+        }
+        const poolConfig = { ...script, ...poolSettings };
+        if (workerMemoryLimit !== undefined) {
+            poolConfig.workerMemoryLimit = workerMemoryLimit;
+        }
+        const result = exampleWorkerManager.addPool(poolConfig);
+        if (!result.ok) {
+            res.status(getErrorStatus(result.code)).send({ error: result.message, code: result.code });
+            return;
+        }
+        res.status(201).send(result);
+    });
+
+    app.patch(`/admin/pools/:name`, validateBody(ADMIN_POOL_UPDATE_SCHEMA), (req, res) => {
+        const { workerCount, reload } = req.body;
+        let result = { ok: true };
+        if (workerCount !== undefined) {
+            result = exampleWorkerManager.resizePool(req.params.name, workerCount);
+        }
+        if (result.ok && reload) {
+            result = exampleWorkerManager.reloadPool(req.params.name);
+        }
+        if (!result.ok) {
+            res.status(getErrorStatus(result.code)).send({ error: result.message, code: result.code });
+            return;
+        }
+        res.status(200).send(result);
+    });
+
+    app.delete(`/admin/pools/:name`, async (req, res) => {
+        try {
+            const result = await exampleWorkerManager.removePool(req.params.name, { drain: req.query.drain !== "false" });
+            if (!result.ok) {
+                res.status(getErrorStatus(result.code)).send({ error: result.message, code: result.code });
+                return;
+            }
+            res.status(200).send(result);
+        } catch (err) {
+            res.status(500).send({ error: err.message });
+        }
+    });
+
+}
+
+/**
+ * Express middleware that rejects admin requests without the `adminConfig.token`, if one is configured.
+ */
+function authorizeAdmin(req, res, next) {
+    if (!ADMIN_CONFIG.token) {
+        next();
+        return;
+    }
+    const expected = Buffer.from(`Bearer ${ADMIN_CONFIG.token}`);
+    const actual = Buffer.from(req.get("Authorization") || "");
+    if (actual.length === expected.length && crypto.timingSafeEqual(actual, expected)) {
+        next();
+        return;
+    }
+    res.status(401).set("WWW-Authenticate", "Bearer").send({ error: "Missing or invalid admin token", code: ERROR_CODES.UNAUTHORIZED });
+}
+
+/**
+ * Sets up the `/metrics` endpoint, which serves pool, queue, task and worker metrics
+ * in the Prometheus text exposition format.
+ */
+function setupMetricsHTTP_route() {
+
+    app.get(`/metrics`, async (req, res) => {
+        try {
+            res.set("Content-Type", metricsRegistry.contentType);
+            res.send(await metricsRegistry.metrics());
+        } catch (err) {
+            res.status(500).send({ error: err.message });
+        }
+    });
+
+}
+
+/**
+ * Sets up HTTP routes for asynchronous jobs, which answer right away instead of waiting for the worker.
+ *
+ * `POST /jobs` submits a job with the payload of `/example/pool` and an optional `callbackUrl`, and answers `202` with its `taskId`.
+ * `GET /jobs/:id` returns the status of a job (queued, running, done or failed) and its position in the queue.
+ * `GET /jobs/:id/result` returns the result of a finished job.
+ * `DELETE /jobs/:id` cancels a queued or running job.
+ */
+function setupJobHTTP_routes() {
+
+    app.post(`/jobs`, validateBody(JOB_SCHEMA), (req, res) => {
+        const { poolName, workerTask, taskTimeout, priority, tenant, affinityKey, callbackUrl } = req.body;
+        const timeoutError = checkTaskTimeout(poolName, taskTimeout);
+        if (timeoutError) {
+            res.status(400).send({ error: timeoutError, code: ERROR_CODES.INVALID_REQUEST });
+            return;
+        }
+        const result = jobManager.submit(poolName, workerTask, { timeout: taskTimeout, priority, tenant, affinityKey, callbackUrl });
+        if (!result.ok) {
+            res.status(getErrorStatus(result.code)).send({ error: result.message, code: result.code });
+            return;
+        }
+        res.status(202).location(`/jobs/${result.taskId}`).send(result);
+    });
+
+    app.get(`/jobs/:id`, async (req, res) => {
+        try {
+            const job = await jobManager.getJob(req.params.id);
+            if (!job) {
+                res.status(404).send({ error: `Job ${req.params.id} not found` });
+                return;
+            }
+            const { id, poolName, status, position, submittedAt, finishedAt } = job;
+            res.status(200).send({ id, poolName, status, position, submittedAt, finishedAt });
+        } catch (err) {
+            res.status(500).send({ error: err.message });
+        }
+    });
+
+    app.get(`/jobs/:id/result`, async (req, res) => {
+        try {
+            const job = await jobManager.getJob(req.params.id);
+            if (!job) {
+                res.status(404).send({ error: `Job ${req.params.id} not found` });
+            } else if (job.status === "done") {
+                res.status(200).send({ ok: true, id: job.id, data: job.result });
+            } else if (job.status === "failed") {
+                res.status(getErrorStatus(job.error.code)).send({ ok: false, id: job.id, error: job.error.message, code: job.error.code });
+            } else {
+                // Not finished yet, the client should poll again
+                res.status(202).send({ id: job.id, status: job.status, position: job.position });
+            }
+        } catch (err) {
+            res.status(500).send({ error: err.message });
+        }
+    });
+
+    app.delete(`/jobs/:id`, async (req, res) => {
+        try {
+            if (jobManager.cancel(req.params.id)) {
+                res.status(200).send({ ok: true });
+                return;
+            }
+            const job = await jobManager.getJob(req.params.id);
+            if (!job) {
+                res.status(404).send({ error: `Job ${req.params.id} not found` });
+            } else {
+                res.status(409).send({ error: `Job ${req.params.id} is already ${job.status}` });
+            }
+        } catch (err) {
+            res.status(500).send({ error: err.message });
+        }
+    });
+
+}
+
+/**
+ * Sets up HTTP routes for inspecting worker pools.
+ *
+ * `GET /pools` returns the state of all pools: worker counts, readiness, queue length, running tasks and circuit breaker.
+ * `GET /pools/:name` returns the state of a pool with its workers: pid, state, running tasks and CPU and memory usage.
+ * `GET /pools/:name/workers/:pid/logs` returns the last output lines of a worker, also shortly after it has exited.
+ * `GET /dashboard` serves a page that polls these routes and shows the pools live.
+ */
+function setupPoolHTTP_routes() {
+
+    app.get(`/pools`, (req, res) => {
+        res.status(200).send({ pools: exampleWorkerManager.getPoolStats() });
+    });
+
+    app.get(`/pools/:name`, async (req, res) => {
+        try {
+            const pool = await exampleWorkerManager.getPoolInfo(req.params.name);
+            if (!pool) {
+                res.status(404).send({ error: `Worker pool ${req.params.name} does not exists`, code: ERROR_CODES.POOL_NOT_FOUND });
+                return;
+            }
+            res.status(200).send(pool);
+        } catch (err) {
+            res.status(500).send({ error: err.message });
+        }
+    });
+
+    app.get(`/pools/:name/workers/:pid/logs`, (req, res) => {
+        const result = exampleWorkerManager.getWorkerOutput(req.params.name, Number(req.params.pid));
+        if (!result.ok) {
+            res.status(getErrorStatus(result.code)).send({ error: result.message, code: result.code });
+            return;
+        }
+        res.status(200).send(result);
+    });
+
+    app.get(`/dashboard`, (req, res) => {
+        res.sendFile(path.join(__dirname, "public", "dashboard.html"));
+    });
+
+}
+
+/**
+ * Sets up HTTP routes for probes of orchestrators and load balancers.
+ *
+ * `GET /healthz` answers `200` as long as the process responds (liveness).
+ * `GET /readyz` answers `200` if every pool has its minimum number of ready workers, otherwise `503` (readiness).
+ * Pools that are being removed are not considered, during shutdown the server is not ready.
+ */
+function setupHealthHTTP_routes() {
+
+    app.get(`/healthz`, (req, res) => {
+        res.status(200).send({ ok: true, uptime: process.uptime() });
+    });
+
+    app.get(`/readyz`, (req, res) => {
+        const pools = exampleWorkerManager.getPoolStats()
+            .filter((pool) => !pool.closing)
+            .map(({ poolName, ready, readyWorkerCount, minReadyWorkers, circuitOpen }) => ({ poolName, ready, readyWorkerCount, minReadyWorkers, circuitOpen }));
+        const ok = poolsInitialized && !shuttingDown && pools.every((pool) => pool.ready);
+        res.status(ok ? 200 : 503).send({ ok, shuttingDown, pools });
+    });
+
+}
+
+/**
+ * Sets up HTTP routes for scheduled tasks.
+ *
+ * `GET /schedules` lists the schedules with their next run and last run, `GET /schedules/:name` returns one schedule.
+ * `POST /schedules` adds a schedule from the body, with the settings of an entry of `schedules` in the config.
+ * `POST /schedules/:name/pause` and `POST /schedules/:name/resume` pause and resume a schedule.
+ * `POST /schedules/:name/trigger` runs a schedule now, subject to its overlap policy.
+ * `DELETE /schedules/:name` removes a schedule.
+ * The routes that change schedules are only set up if `adminConfig` is enabled, and require its token like the admin routes.
+ */
+function setupScheduleHTTP_routes() {
+
+    app.get(`/schedules`, (req, res) => {
+        res.status(200).send({ schedules: scheduler.getSchedules() });
+    });
+
+    app.get(`/schedules/:name`, (req, res) => {
+        const schedule = scheduler.getSchedule(req.params.name);
+        if (!schedule) {
+            res.status(404).send({ error: `Schedule ${req.params.name} does not exist`, code: ERROR_CODES.SCHEDULE_NOT_FOUND });
+            return;
+        }
+        res.status(200).send(schedule);
+    });
+
+    // Changing the schedules runs tasks on any pool, so it is restricted like the admin routes
+    if (!ADMIN_CONFIG.enabled) {
+        return;
+    }
+
+    app.post(`/schedules`, authorizeAdmin, validateBody(ADMIN_SCHEDULE_SCHEMA), (req, res) => {
+        const timeoutError = checkTaskTimeout(req.body.poolName, req.body.taskTimeout);
+        if (timeoutError) {
+            res.status(400).send({ error: timeoutError, code: ERROR_CODES.INVALID_REQUEST });
+            return;
+        }
+        const result = scheduler.addSchedule(req.body);
+        if (!result.ok) {
+            res.status(getErrorStatus(result.code)).send({ error: result.message, code: result.code });
+            return;
+        }
+        res.status(201).location(`/schedules/${encodeURIComponent(result.schedule.name)}`).send(result);
+    });
+
+    app.post(`/schedules/:name/:action(pause|resume|trigger)`, authorizeAdmin, (req, res) => {
+        const { name, action } = req.params;
+        const result = action === "pause" ? scheduler.pauseSchedule(name)
+            : action === "resume" ? scheduler.resumeSchedule(name)
+            : scheduler.triggerSchedule(name);
+        if (!result.ok) {
+            res.status(getErrorStatus(result.code)).send({ error: result.message, code: result.code });
+            return;
+        }
+        res.status(action === "trigger" ? 202 : 200).send(result);
+    });
+
+    app.delete(`/schedules/:name`, authorizeAdmin, (req, res) => {
+        const result = scheduler.removeSchedule(req.params.name);
+        if (!result.ok) {
+            res.status(getErrorStatus(result.code)).send({ error: result.message, code: result.code });
+            return;
+        }
+        res.status(200).send(result);
+    });
+
+}
+
+/**
+ * Checks the `taskTimeout` of a request against `httpServerConfig.minTaskTimeoutMs` and the `taskTimeout` of its pool,
+ * which is the default and the maximum for HTTP clients, so that a client can neither keep a worker busy for longer
+ * than the pool allows nor get workers killed and replaced over and over with tiny timeouts.
+ * @param {string} poolName - Name of the worker pool.
+ * @param {number} [taskTimeout] - The timeout of the request in milliseconds, 0 for no timeout.
+ * @returns {string|null} - The violation, or null if the timeout is within the limits.
+ */
+function checkTaskTimeout(poolName, taskTimeout) {
+    if (taskTimeout === undefined) {
+        return null;
+    }
+    if (taskTimeout !== 0 && taskTimeout < MIN_TASK_TIMEOUT_MS) {
+        return `taskTimeout must be at least ${MIN_TASK_TIMEOUT_MS} ms`;
+    }
+    const pool = exampleWorkerManager.getPoolStats().find((pool) => pool.poolName === poolName);
+    if (pool?.taskTimeout && (taskTimeout === 0 || taskTimeout > pool.taskTimeout)) {
+        return `taskTimeout exceeds the limit of ${pool.taskTimeout} ms of worker pool ${poolName}`;
+    }
+    return null;
+}
+
+/**
+ * Maps an error code of the worker manager to an HTTP status code.
+ * @param {string} code - One of `ERROR_CODES`, if any.
+ * @returns {number} - The HTTP status code.
+ */
+function getErrorStatus(code) {
+    return ERROR_STATUS_CODES[code] || 500;
 }
\ No newline at end of file
@@ -0,0 +1,378 @@
+const { Worker } = require("worker_threads"); // Checks the Node options of thread workers
+const Ajv = require("ajv"); // JSON schema validator
+const CronExpression = require("./cronExpression"); // Checks the cron expressions of schedules
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+const NON_NEGATIVE_INTEGER = { type: "integer", minimum: 0 };
+const POSITIVE_INTEGER = { type: "integer", minimum: 1 };
+const STRING_LIST = { type: "array", items: { type: "string" } };
+
+// Process settings of pool workers and one-shot scripts, see `createForkOptions` in workerManager.js
+const PROCESS_SETTINGS_PROPERTIES = {
+  workerMemoryLimit: POSITIVE_INTEGER,
+  backend: { enum: ["process", "thread"] },
+  env: { type: "object", additionalProperties: { type: "string" } },
+  inheritEnv: { anyOf: [{ type: "boolean" }, STRING_LIST] },
+  cwd: { type: "string", minLength: 1 },
+  execArgv: STRING_LIST,
+  args: STRING_LIST,
+  uid: NON_NEGATIVE_INTEGER,
+  gid: NON_NEGATIVE_INTEGER,
+  stdio: { enum: ["inherit", "ignore", "pipe"] },
+  outputLines: NON_NEGATIVE_INTEGER,
+  serialization: { enum: ["json", "advanced"] },
+  payloadFileThreshold: NON_NEGATIVE_INTEGER,
+  payloadDir: { type: "string", minLength: 1 },
+  permissions: {
+    type: "object",
+    properties: {
+      allowFsRead: STRING_LIST,
+      allowFsWrite: STRING_LIST,
+      allowChildProcess: { type: "boolean" },
+      allowWorker: { type: "boolean" },
+    },
+    additionalProperties: false,
+  },
+};
+
+// Process settings that worker threads cannot have, as they share the manager's process
+const PROCESS_ONLY_SETTINGS = ["cwd", "uid", "gid", "permissions"];
+
+// execArgv of thread workers that were checked -> the error of worker threads, null if they accept it
+const checkedThreadExecArgv = new Map();
+
+// Entry of `workerPools`, the settings are described at `POOL_DEFAULTS` in workerManager.js
+const POOL_CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    poolName: { type: "string", minLength: 1 },
+    workerScript: { type: "string", minLength: 1 },
+    workerCount: NON_NEGATIVE_INTEGER,
+    minWorkers: NON_NEGATIVE_INTEGER,
+    maxWorkers: POSITIVE_INTEGER,
+    scaleUpQueueThreshold: POSITIVE_INTEGER,
+    idleTimeoutMs: NON_NEGATIVE_INTEGER,
+    initTimeoutMs: NON_NEGATIVE_INTEGER,
+    maxActiveTasksPerWorker: POSITIVE_INTEGER,
+    maxQueueLength: NON_NEGATIVE_INTEGER,
+    taskTimeout: NON_NEGATIVE_INTEGER,
+    maxRetries: NON_NEGATIVE_INTEGER,
+    restartBackoffMs: NON_NEGATIVE_INTEGER,
+    maxRestartBackoffMs: NON_NEGATIVE_INTEGER,
+    crashLoopThreshold: POSITIVE_INTEGER,
+    crashLoopWindowMs: NON_NEGATIVE_INTEGER,
+    crashLoopCooldownMs: NON_NEGATIVE_INTEGER,
+    maxTasksPerWorker: NON_NEGATIVE_INTEGER,
+    recycleAtMemoryMB: { type: "number", minimum: 0 },
+    tenantWeights: { type: "object", additionalProperties: { type: "number", exclusiveMinimum: 0 } },
+    ...PROCESS_SETTINGS_PROPERTIES,
+  },
+  required: ["poolName", "workerScript"],
+  additionalProperties: false,
+};
+
+// Entry of `oneShotConfig.scripts` and `adminConfig.scripts`
+const SCRIPT_SCHEMA = {
+  type: "object",
+  properties: {
+    workerScript: { type: "string", minLength: 1 },
+    ...PROCESS_SETTINGS_PROPERTIES,
+  },
+  required: ["workerScript"],
+  additionalProperties: false,
+};
+
+// Entry of `schedules`, also the body of `POST /schedules`. Either `cron` or `intervalMs` is required, see `validateSchedule`.
+const SCHEDULE_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1 },
+    poolName: { type: "string", minLength: 1 },
+    workerTask: { type: "object" },
+    cron: { type: "string", minLength: 1 },
+    intervalMs: POSITIVE_INTEGER,
+    overlap: { enum: ["skip", "queue", "allow"] },
+    jitterMs: NON_NEGATIVE_INTEGER,
+    paused: { type: "boolean" },
+    taskTimeout: NON_NEGATIVE_INTEGER,
+    priority: { type: "integer" },
+    tenant: { type: "string", minLength: 1 },
+    affinityKey: { type: "string", minLength: 1 },
+  },
+  required: ["name", "poolName", "workerTask"],
+  additionalProperties: false,
+};
+
+// The whole configuration, as merged by the 'config' module from the files in /config
+const CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    httpServerConfig: {
+      type: "object",
+      properties: {
+        port: { type: "integer", minimum: 0, maximum: 65535 },
+        requestBodyLimit: { type: ["string", "integer"] },
+        minTaskTimeoutMs: NON_NEGATIVE_INTEGER,
+      },
+      required: ["port", "requestBodyLimit"],
+      additionalProperties: false,
+    },
+    shutdownConfig: {
+      type: "object",
+      properties: {
+        drainTimeoutMs: NON_NEGATIVE_INTEGER,
+        killTimeoutMs: NON_NEGATIVE_INTEGER,
+      },
+      additionalProperties: false,
+    },
+    jobConfig: {
+      type: "object",
+      properties: {
+        resultTtlMs: NON_NEGATIVE_INTEGER,
+        webhookTimeoutMs: POSITIVE_INTEGER,
+        callbackUrlPrefixes: { type: "array", items: { type: "string", pattern: "^https?://[^/]+" } },
+      },
+      additionalProperties: false,
+    },
+    oneShotConfig: {
+      type: "object",
+      properties: {
+        maxConcurrentWorkers: NON_NEGATIVE_INTEGER,
+        scripts: { type: "object", additionalProperties: SCRIPT_SCHEMA },
+      },
+      additionalProperties: false,
+    },
+    adminConfig: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean" },
+        token: { type: "string", minLength: 1 },
+        scripts: { type: "object", additionalProperties: SCRIPT_SCHEMA },
+      },
+      additionalProperties: false,
+    },
+    logging: {
+      type: "object",
+      properties: {
+        level: { enum: ["error", "warn", "info", "http", "verbose", "debug", "silly"] },
+        format: { enum: ["text", "json"] },
+        console: { type: "boolean" },
+        file: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean" },
+            dirname: { type: "string", minLength: 1 },
+            datePattern: { type: "string", minLength: 1 },
+            zippedArchive: { type: "boolean" },
+            maxSize: { type: ["string", "integer"] },
+            maxFiles: { type: ["string", "integer"] },
+          },
+          additionalProperties: false,
+        },
+      },
+      additionalProperties: false,
+    },
+    taskStore: {
+      type: "object",
+      properties: {
+        journalPath: { type: "string", minLength: 1 },
+        retentionMs: NON_NEGATIVE_INTEGER,
+        compactIntervalMs: NON_NEGATIVE_INTEGER,
+      },
+      required: ["journalPath"],
+      additionalProperties: false,
+    },
+    configReload: {
+      type: "object",
+      properties: {
+        watch: { type: "boolean" },
+        debounceMs: NON_NEGATIVE_INTEGER,
+      },
+      additionalProperties: false,
+    },
+    workerPools: { type: "array", items: POOL_CONFIG_SCHEMA },
+    schedules: { type: "array", items: SCHEDULE_SCHEMA },
+    logWorkerStats: { type: "boolean" },
+  },
+  required: ["httpServerConfig"],
+  additionalProperties: false,
+};
+
+const validateConfigSchema = ajv.compile(CONFIG_SCHEMA);
+const validatePoolConfigSchema = ajv.compile(POOL_CONFIG_SCHEMA);
+const validateScheduleSchema = ajv.compile(SCHEDULE_SCHEMA);
+
+/**
+ * Validates the whole configuration: the schema, unique pool and schedule names, the settings of thread workers
+ * and the timing of schedules.
+ * @param {Object} config - The configuration, e.g. `config.util.toObject(config)`.
+ * @returns {string[]} - One message per violation, empty if the configuration is valid.
+ */
+function validateConfig(config) {
+  if (!validateConfigSchema(config)) {
+    return describeErrors(validateConfigSchema.errors, "config");
+  }
+  const errors = [];
+  const poolNames = new Set();
+  for (const [index, pool] of (config.workerPools || []).entries()) {
+    if (poolNames.has(pool.poolName)) {
+      errors.push(`config.workerPools.${index}.poolName ${pool.poolName} is used by another pool`);
+    }
+    poolNames.add(pool.poolName);
+    errors.push(...validateThreadSettings(pool, `config.workerPools.${index}`));
+    errors.push(...validateWorkerCounts(pool, `config.workerPools.${index}`));
+  }
+  for (const [scriptId, script] of Object.entries(config.oneShotConfig?.scripts || {})) {
+    errors.push(...validateThreadSettings(script, `config.oneShotConfig.scripts.${scriptId}`));
+  }
+  for (const [scriptId, script] of Object.entries(config.adminConfig?.scripts || {})) {
+    errors.push(...validateThreadSettings(script, `config.adminConfig.scripts.${scriptId}`));
+  }
+  const scheduleNames = new Set();
+  for (const [index, schedule] of (config.schedules || []).entries()) {
+    if (scheduleNames.has(schedule.name)) {
+      errors.push(`config.schedules.${index}.name ${schedule.name} is used by another schedule`);
+    }
+    scheduleNames.add(schedule.name);
+    errors.push(...validateScheduleTiming(schedule, `config.schedules.${index}`));
+  }
+  return errors;
+}
+
+/**
+ * Validates a worker pool config, e.g. one created through the admin API.
+ * @param {Object} poolConfig - The pool config.
+ * @returns {string[]} - One message per violation, empty if the pool config is valid.
+ */
+function validatePoolConfig(poolConfig) {
+  if (!validatePoolConfigSchema(poolConfig)) {
+    return describeErrors(validatePoolConfigSchema.errors, "pool");
+  }
+  return [...validateThreadSettings(poolConfig, "pool"), ...validateWorkerCounts(poolConfig, "pool")];
+}
+
+/**
+ * Validates a schedule, e.g. one created through `POST /schedules`.
+ * @param {Object} schedule - The schedule.
+ * @returns {string[]} - One message per violation, empty if the schedule is valid.
+ */
+function validateSchedule(schedule) {
+  if (!validateScheduleSchema(schedule)) {
+    return describeErrors(validateScheduleSchema.errors, "schedule");
+  }
+  return validateScheduleTiming(schedule, "schedule");
+}
+
+/**
+ * Checks that a schedule has either a valid cron expression that matches a time, or an interval.
+ * @param {Object} schedule - The schedule.
+ * @param {string} path - Path of the schedule in the messages.
+ * @returns {string[]} - The violations.
+ */
+function validateScheduleTiming(schedule, path) {
+  if ((schedule.cron === undefined) === (schedule.intervalMs === undefined)) {
+    return [`${path} must have either cron or intervalMs`];
+  }
+  if (schedule.cron === undefined) return [];
+  try {
+    if (!new CronExpression(schedule.cron).next()) {
+      return [`${path}.cron ${schedule.cron} never matches`];
+    }
+  } catch (err) {
+    return [`${path}.cron ${err.message}`];
+  }
+  return [];
+}
+
+/**
+ * Checks that a pool or one-shot script with the thread backend has no settings that require a process,
+ * and only Node options in `execArgv` that worker threads accept.
+ * @param {Object} settings - The settings of the pool or script.
+ * @param {string} path - Path of the settings in the messages.
+ * @returns {string[]} - The violations.
+ */
+function validateThreadSettings(settings, path) {
+  if (settings.backend !== "thread") return [];
+  const errors = PROCESS_ONLY_SETTINGS
+    .filter((key) => settings[key] !== undefined)
+    .map((key) => `${path}.${key} is not supported by the thread backend`);
+  const execArgvError = settings.execArgv?.length ? checkThreadExecArgv(settings.execArgv) : null;
+  if (execArgvError) {
+    errors.push(`${path}.execArgv is not supported by the thread backend: ${execArgvError}`);
+  }
+  return errors;
+}
+
+/**
+ * Checks Node options with a worker thread that is terminated right away. Threads reject the options that only
+ * a process can have, e.g. V8 heap options, and Node has no list of the options they accept.
+ * @param {string[]} execArgv - The Node options.
+ * @returns {string|null} - The error of worker threads, or null if they accept the options.
+ */
+function checkThreadExecArgv(execArgv) {
+  const key = JSON.stringify(execArgv);
+  if (!checkedThreadExecArgv.has(key)) {
+    let error = null;
+    try {
+      const worker = new Worker("", { eval: true, execArgv, stdout: true, stderr: true });
+      worker.unref();
+      worker.terminate();
+    } catch (err) {
+      if (err.code !== "ERR_WORKER_INVALID_EXEC_ARGV") throw err;
+      error = err.message;
+    }
+    checkedThreadExecArgv.set(key, error);
+  }
+  return checkedThreadExecArgv.get(key);
+}
+
+/**
+ * Checks that the worker counts of a pool do not contradict each other: `minWorkers` <= `workerCount` <= `maxWorkers`,
+ * and that a pool without `maxWorkers` has a `workerCount` and no `minWorkers`.
+ * @param {Object} poolConfig - The pool config.
+ * @param {string} path - Path of the pool config in the messages.
+ * @returns {string[]} - The violations.
+ */
+function validateWorkerCounts(poolConfig, path) {
+  const { workerCount, minWorkers, maxWorkers } = poolConfig;
+  const errors = [];
+  // Only autoscaling pools spawn workers without a `workerCount`
+  if (maxWorkers === undefined && workerCount === undefined) {
+    errors.push(`${path} must have workerCount, or maxWorkers to scale automatically`);
+  }
+  if (maxWorkers === undefined && minWorkers !== undefined) {
+    errors.push(`${path}.minWorkers requires maxWorkers`);
+  }
+  if (maxWorkers !== undefined && minWorkers > maxWorkers) {
+    errors.push(`${path}.minWorkers ${minWorkers} exceeds maxWorkers ${maxWorkers}`);
+  }
+  if (maxWorkers !== undefined && workerCount > maxWorkers) {
+    errors.push(`${path}.workerCount ${workerCount} exceeds maxWorkers ${maxWorkers}`);
+  }
+  if (minWorkers !== undefined && workerCount < minWorkers) {
+    errors.push(`${path}.workerCount ${workerCount} is below minWorkers ${minWorkers}`);
+  }
+  return errors;
+}
+
+/**
+ * Turns the errors of a schema validation into readable messages, e.g. for misspelled settings.
+ * @param {Object[]} errors - The errors of the validate function.
+ * @param {string} root - Name of the validated object in the messages.
+ * @returns {string[]} - The messages.
+ */
+function describeErrors(errors, root) {
+  return errors.map(({ instancePath, message, params }) => {
+    const path = root + instancePath.replace(/\//g, ".");
+    if (params.additionalProperty !== undefined) {
+      return `${path} has the unknown setting ${params.additionalProperty}`;
+    }
+    if (params.allowedValues) {
+      return `${path} ${message}: ${params.allowedValues.join(", ")}`;
+    }
+    return `${path} ${message}`;
+  });
+}
+
+module.exports = { PROCESS_SETTINGS_PROPERTIES, POOL_CONFIG_SCHEMA, SCHEDULE_SCHEMA, CONFIG_SCHEMA, validateConfig, validatePoolConfig, validateSchedule };
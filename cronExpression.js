@@ -0,0 +1,178 @@
+// Fields of a cron expression, in order. Months and days of the week may also be given by their names.
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] }, // 0 and 7 are Sunday
+];
+
+// Shorthands for common expressions
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+// The next run is searched within this time, which covers the 29th of February in leap years
+const SEARCH_LIMIT_MS = 8 * 366 * 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * A cron expression with the five fields minute, hour, day of month, month and day of week,
+ * e.g. `*\/15 8-18 * * mon-fri`. Fields are lists of values, ranges and steps (`1,5`, `1-5`, `*\/2`, `1-10/3`).
+ * Like in cron, a time matches if either the day of month or the day of week matches when both are restricted.
+ * Times are local times of the process.
+ */
+class CronExpression {
+
+  #minutes;
+  #hours;
+  #daysOfMonth;
+  #months;
+  #daysOfWeek;
+  #anyDayOfMonth; // the day of month field starts with `*`
+  #anyDayOfWeek; // the day of week field starts with `*`
+
+  /**
+   * @param {string} expression - The cron expression or one of the macros like `@hourly`.
+   * @throws {Error} If the expression is invalid.
+   */
+  constructor(expression) {
+    const fields = (MACROS[expression] ?? expression).trim().split(/\s+/);
+    if (fields.length !== FIELDS.length) {
+      throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields, got ${fields.length}`);
+    }
+    try {
+      [this.#minutes, this.#hours, this.#daysOfMonth, this.#months, this.#daysOfWeek] =
+        fields.map((text, index) => parseField(text, FIELDS[index]));
+    } catch (err) {
+      throw new Error(`Invalid cron expression "${expression}": ${err.message}`);
+    }
+    if (this.#daysOfWeek.delete(7)) {
+      this.#daysOfWeek.add(0);
+    }
+    this.#anyDayOfMonth = fields[2].startsWith("*");
+    this.#anyDayOfWeek = fields[4].startsWith("*");
+  }
+
+  /**
+   * Finds the first time after a given time that matches the expression.
+   * @param {Date} [from=new Date()] - The time after which to search.
+   * @returns {Date|null} - The matching time at the start of its minute, or null if the expression
+   *   matches no time within the next years, e.g. `0 0 31 2 *`.
+   */
+  next(from = new Date()) {
+    const date = new Date(from.getTime() - from.getTime() % MINUTE_MS + MINUTE_MS);
+    const limit = from.getTime() + SEARCH_LIMIT_MS;
+
+    // Skips whole months, days and hours that do not match. Minutes and hours are added as milliseconds,
+    // so that the search does not go back when the clock is set back for daylight saving time.
+    while (date.getTime() <= limit) {
+      if (!this.#months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.#matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.#hours.has(date.getHours())) {
+        date.setTime(date.getTime() + (60 - date.getMinutes()) * MINUTE_MS);
+      } else if (!this.#minutes.has(date.getMinutes())) {
+        date.setTime(date.getTime() + MINUTE_MS);
+      } else {
+        return date;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Checks the day of month and the day of week of a date.
+   * @param {Date} date - The date.
+   * @returns {boolean}
+   */
+  #matchesDay(date) {
+    const dayOfMonth = this.#daysOfMonth.has(date.getDate());
+    const dayOfWeek = this.#daysOfWeek.has(date.getDay());
+    if (this.#anyDayOfMonth || this.#anyDayOfWeek) {
+      return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+  }
+}
+
+/**
+ * Parses a field of a cron expression.
+ * @param {string} text - The field, a comma separated list of values, ranges and steps.
+ * @param {Object} field - The field's entry of `FIELDS`.
+ * @returns {Set<number>} - The values matched by the field.
+ * @throws {Error} If the field is invalid.
+ */
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText, ...rest] = part.split("/");
+    if (rest.length) {
+      throw new Error(`invalid ${field.name} ${part}`);
+    }
+    const step = stepText === undefined ? 1 : parseNumber(stepText, field);
+    if (step < 1) {
+      throw new Error(`invalid step ${stepText} of the ${field.name}`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== "*") {
+      const [startText, endText, ...more] = range.split("-");
+      if (more.length) {
+        throw new Error(`invalid ${field.name} ${part}`);
+      }
+      start = parseValue(startText, field);
+      // `5/15` is a step from 5 to the end of the range
+      end = endText !== undefined ? parseValue(endText, field) : stepText !== undefined ? field.max : start;
+    }
+    if (start > end) {
+      throw new Error(`invalid ${field.name} range ${range}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses a value of a field, a number or the name of a month or day of the week.
+ * @param {string} text - The value.
+ * @param {Object} field - The field's entry of `FIELDS`.
+ * @returns {number}
+ * @throws {Error} If the value is invalid or out of range.
+ */
+function parseValue(text, field) {
+  const nameIndex = field.names?.indexOf(text.toLowerCase()) ?? -1;
+  const value = nameIndex !== -1 ? nameIndex + (field.min === 0 ? 0 : 1) : parseNumber(text, field);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${text} is not between ${field.min} and ${field.max}`);
+  }
+  return value;
+}
+
+/**
+ * Parses a non-negative integer.
+ * @param {string} text - The number.
+ * @param {Object} field - The field's entry of `FIELDS`, for the error message.
+ * @returns {number}
+ * @throws {Error} If the text is not a number.
+ */
+function parseNumber(text, field) {
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`invalid ${field.name} ${text}`);
+  }
+  return Number(text);
+}
+
+module.exports = CronExpression;
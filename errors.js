@@ -0,0 +1,108 @@
+// Error codes reported by the worker manager when a task cannot be accepted or executed.
+const ERROR_CODES = {
+  POOL_NOT_FOUND: "POOL_NOT_FOUND",
+  POOL_EXISTS: "POOL_EXISTS",
+  POOL_REMOVED: "POOL_REMOVED",
+  INVALID_POOL_CONFIG: "INVALID_POOL_CONFIG",
+  QUEUE_FULL: "QUEUE_FULL",
+  POOL_UNAVAILABLE: "POOL_UNAVAILABLE",
+  TASK_FAILED: "TASK_FAILED",
+  TASK_ABORTED: "TASK_ABORTED",
+  TASK_TIMEOUT: "TASK_TIMEOUT",
+  WORKER_CRASHED: "WORKER_CRASHED",
+  SHUTTING_DOWN: "SHUTTING_DOWN",
+  INVALID_JOB: "INVALID_JOB",
+  INVALID_REQUEST: "INVALID_REQUEST",
+  ONE_SHOT_LIMIT_REACHED: "ONE_SHOT_LIMIT_REACHED",
+  WORKER_NOT_FOUND: "WORKER_NOT_FOUND",
+  SCHEDULE_NOT_FOUND: "SCHEDULE_NOT_FOUND",
+  SCHEDULE_EXISTS: "SCHEDULE_EXISTS",
+  INVALID_SCHEDULE: "INVALID_SCHEDULE",
+  SCHEDULE_BUSY: "SCHEDULE_BUSY",
+  UNAUTHORIZED: "UNAUTHORIZED",
+};
+
+/**
+ * Base class for all errors raised by the worker manager.
+ */
+class WorkerPoolError extends Error {
+  /**
+   * @param {string} message - Description of the error.
+   * @param {string} code - One of `ERROR_CODES`.
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * Raised when a worker answers a task with an `error` message.
+ */
+class WorkerTaskError extends WorkerPoolError {
+  /**
+   * @param {string} taskId - Id of the failed task.
+   * @param {string} message - Error message reported by the worker.
+   * @param {Object} [workerError] - The serialized error of the worker: `name`, `message`, `stack` and `code`.
+   */
+  constructor(taskId, message, workerError) {
+    super(message, ERROR_CODES.TASK_FAILED);
+    this.taskId = taskId;
+    this.workerError = workerError;
+  }
+}
+
+/**
+ * Raised when a task is cancelled through its AbortSignal.
+ */
+class TaskAbortedError extends WorkerPoolError {
+  /**
+   * @param {string} [taskId] - Id of the aborted task, if it was already submitted.
+   */
+  constructor(taskId) {
+    super(taskId ? `Task ${taskId} was aborted` : "Task was aborted before it was submitted", ERROR_CODES.TASK_ABORTED);
+    this.taskId = taskId;
+  }
+}
+
+/**
+ * Raised when a task does not finish within its timeout.
+ */
+class TaskTimeoutError extends WorkerPoolError {
+  /**
+   * @param {string} taskId - Id of the timed out task.
+   * @param {number} timeout - The timeout in milliseconds.
+   */
+  constructor(taskId, timeout) {
+    super(`Task ${taskId} timed out after ${timeout} ms`, ERROR_CODES.TASK_TIMEOUT);
+    this.taskId = taskId;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Raised when the worker executing a task exits before answering it.
+ */
+class WorkerCrashedError extends WorkerPoolError {
+  /**
+   * @param {string} taskId - Id of the task that was running on the worker.
+   * @param {number|null} exitCode - The exit code of the worker.
+   * @param {string|null} signal - The signal that terminated the worker.
+   */
+  constructor(taskId, exitCode, signal) {
+    super(`Worker executing task ${taskId} exited with code ${exitCode} and signal ${signal}`, ERROR_CODES.WORKER_CRASHED);
+    this.taskId = taskId;
+    this.exitCode = exitCode;
+    this.signal = signal;
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  WorkerPoolError,
+  WorkerTaskError,
+  TaskAbortedError,
+  TaskTimeoutError,
+  WorkerCrashedError,
+};
@@ -0,0 +1,96 @@
+const crypto = require("crypto"); // Hashes nodes and keys onto the ring
+
+// Points of every node on the ring, more points spread the keys more evenly
+const DEFAULT_REPLICAS = 100;
+
+/**
+ * Consistent hash ring that maps keys to nodes.
+ *
+ * Every node is placed on the ring at `replicas` points, a key belongs to the node of the next point
+ * clockwise from the key's hash. Adding or removing a node only moves the keys of that node's points.
+ */
+class HashRing {
+
+  #replicas;
+  #points = []; // { hash, node }, sorted by hash
+  #nodes = new Set();
+
+  /**
+   * @param {number} [replicas] - Points of every node on the ring.
+   */
+  constructor(replicas = DEFAULT_REPLICAS) {
+    this.#replicas = replicas;
+  }
+
+  /**
+   * The nodes on the ring.
+   * @returns {string[]}
+   */
+  get nodes() {
+    return [...this.#nodes];
+  }
+
+  /**
+   * Places a node on the ring.
+   * @param {string} node - The node.
+   */
+  add(node) {
+    if (this.#nodes.has(node)) return;
+    this.#nodes.add(node);
+    for (let i = 0; i < this.#replicas; i++) {
+      this.#points.push({ hash: hash(`${node}#${i}`), node });
+    }
+    this.#points.sort((a, b) => a.hash - b.hash);
+  }
+
+  /**
+   * Removes a node from the ring, its keys move to the following nodes.
+   * @param {string} node - The node.
+   */
+  remove(node) {
+    if (!this.#nodes.delete(node)) return;
+    this.#points = this.#points.filter((point) => point.node !== node);
+  }
+
+  /**
+   * Checks whether a node is on the ring.
+   * @param {string} node - The node.
+   * @returns {boolean}
+   */
+  has(node) {
+    return this.#nodes.has(node);
+  }
+
+  /**
+   * Finds the node a key belongs to.
+   * @param {string} key - The key.
+   * @returns {string|null} - The node, or null if the ring is empty.
+   */
+  get(key) {
+    if (!this.#points.length) return null;
+    const keyHash = hash(key);
+    // Binary search for the first point at or after the key's hash, wrapping around to the first point
+    let low = 0;
+    let high = this.#points.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (this.#points[middle].hash < keyHash) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return this.#points[low % this.#points.length].node;
+  }
+}
+
+/**
+ * Hashes a string to an unsigned 32 bit integer.
+ * @param {string} value - The string.
+ * @returns {number}
+ */
+function hash(value) {
+  return crypto.createHash("md5").update(value).digest().readUInt32BE(0);
+}
+
+module.exports = HashRing;
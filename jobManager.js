@@ -0,0 +1,202 @@
+const logger = require("./logger").child({ module: "jobManager" }); // Imports a custom logger module based on the 'winston' module
+const { ERROR_CODES, WorkerPoolError } = require("./errors"); // Error codes and typed errors shared with the HTTP layer
+const { TASK_STATUS } = require("./taskStore"); // Jobs report the same status values as stored tasks
+
+// Defaults for the job settings (`jobConfig` in the config)
+const JOB_DEFAULTS = {
+  resultTtlMs: 3600000, // time the result of a finished job is kept
+  webhookTimeoutMs: 5000, // time for the callback URL to answer the webhook request
+  callbackUrlPrefixes: [], // URLs callback URLs must start with, e.g. "https://hooks.example.com/", none = no callbacks
+};
+
+// Interval in which expired results are dropped, also while no job is submitted or fetched
+const EXPIRE_INTERVAL_MS = 60000;
+
+/**
+ * Asynchronous jobs on top of the worker manager: pool tasks are submitted without waiting for them,
+ * their status and result are fetched by task id later. Results are kept for `resultTtlMs`, and an
+ * optional callback URL of a job receives the finished job as a POST request.
+ */
+class JobManager {
+
+  #workerManager;
+  #config;
+  #callbackUrlPrefixes; // `callbackUrlPrefixes` normalized by `URL`, so that a bare origin ends with "/"
+  #jobs = new Map(); // task id -> job
+  #finished = new Map(); // task id -> finish time, in finish order for expiring results
+
+  /**
+   * @param {Object} workerManager - The worker manager executing the jobs.
+   * @param {Object} [config] - Job settings, see `JOB_DEFAULTS`.
+   */
+  constructor(workerManager, config = {}) {
+    this.#workerManager = workerManager;
+    this.#config = { ...JOB_DEFAULTS, ...config };
+    this.#callbackUrlPrefixes = this.#config.callbackUrlPrefixes.map((prefix) => new URL(prefix).href);
+    setInterval(() => this.#expireResults(), EXPIRE_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Submits a job to a worker pool.
+   * @param {string} poolName - The worker pool that should execute the job.
+   * @param {*} data - The task data passed to the worker.
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Maximum run time in milliseconds, overrides the pool's `taskTimeout`.
+   * @param {number} [options.priority] - Jobs with a higher priority are dispatched first.
+   * @param {string} [options.tenant] - Tenant or group of the job.
+   * @param {string} [options.affinityKey] - Jobs with the same key are dispatched to the same worker while it has a free slot.
+   * @param {string} [options.callbackUrl] - HTTP(S) URL that receives the finished job, it must start with one of `callbackUrlPrefixes`.
+   * @returns {Object} - `{ ok: true, taskId }` if the job was queued, otherwise `{ ok: false, code, message }`.
+   */
+  submit(poolName, data, { timeout, priority, tenant, affinityKey, callbackUrl } = {}) {
+    if (callbackUrl !== undefined && !isHttpUrl(callbackUrl)) {
+      return { ok: false, code: ERROR_CODES.INVALID_JOB, message: `Invalid callbackUrl ${callbackUrl}` };
+    }
+    // The server must not be made to send requests to arbitrary hosts, e.g. internal services
+    if (callbackUrl !== undefined && !this.#callbackUrlPrefixes.some((prefix) => new URL(callbackUrl).href.startsWith(prefix))) {
+      return { ok: false, code: ERROR_CODES.INVALID_JOB, message: `callbackUrl ${callbackUrl} is not allowed by jobConfig.callbackUrlPrefixes` };
+    }
+    this.#expireResults();
+
+    const job = { poolName, status: TASK_STATUS.QUEUED, submittedAt: Date.now(), finishedAt: null, callbackUrl };
+    const res = this.#workerManager.executePoolWorkerTask({ data }, (message) => this.#finishJob(job, message), poolName, { timeout, priority, tenant, affinityKey });
+    if (!res.ok) {
+      return res;
+    }
+    job.id = res.taskId;
+    this.#jobs.set(job.id, job);
+    return res;
+  }
+
+  /**
+   * Retrieves the status of a job. Jobs that are not known in memory are looked up in the worker manager's
+   * task store, e.g. jobs that were replayed after a restart.
+   * @param {string} taskId - The task id of the job.
+   * @returns {Promise<Object|null>} - `{ id, poolName, status, position, submittedAt, finishedAt, result, error }`
+   *   with the queue `position` of a queued job, or null if the job is unknown or its result has expired.
+   */
+  async getJob(taskId) {
+    this.#expireResults();
+    const job = this.#jobs.get(taskId) ?? await this.#getStoredJob(taskId);
+    if (!job) return null;
+
+    const info = this.#toJobInfo(job);
+    if (job.status === TASK_STATUS.QUEUED || job.status === TASK_STATUS.RUNNING) {
+      const state = this.#workerManager.getTaskStatus(taskId);
+      if (state) {
+        info.status = state.status;
+        info.position = state.position;
+      }
+    }
+    return info;
+  }
+
+  /**
+   * Cancels a queued or running job, it fails with `ERROR_CODES.TASK_ABORTED`.
+   * @param {string} taskId - The task id of the job.
+   * @returns {boolean} - False if the job is neither queued nor running.
+   */
+  cancel(taskId) {
+    return this.#workerManager.cancelTask(taskId);
+  }
+
+  /**
+   * Stores the outcome of a job and calls its callback URL.
+   * @param {Object} job - The job.
+   * @param {Object} message - The message passed to the task's callback.
+   */
+  #finishJob(job, message) {
+    job.id = message.id;
+    job.finishedAt = Date.now();
+    if (message.ok) {
+      job.status = TASK_STATUS.DONE;
+      job.result = message.data;
+    } else {
+      job.status = TASK_STATUS.FAILED;
+      // Errors of the manager have a code, errors reported by the worker are task failures
+      job.error = { message: message.data, code: message.error instanceof WorkerPoolError ? message.error.code : ERROR_CODES.TASK_FAILED };
+    }
+    this.#finished.set(job.id, job.finishedAt);
+    if (job.callbackUrl) {
+      this.#notifyCallbackUrl(job);
+    }
+  }
+
+  /**
+   * Sends a finished job to its callback URL. Failures are logged, the request is not repeated.
+   * @param {Object} job - The finished job.
+   */
+  async #notifyCallbackUrl(job) {
+    try {
+      const response = await fetch(job.callbackUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(this.#toJobInfo(job)),
+        signal: AbortSignal.timeout(this.#config.webhookTimeoutMs),
+        redirect: "manual", // a redirect could lead away from the allowed `callbackUrlPrefixes`
+      });
+      if (!response.ok) {
+        logger.warn(`Callback URL ${job.callbackUrl} of job ${job.id} answered with status ${response.status}`, { taskId: job.id });
+      }
+    } catch (err) {
+      logger.warn(`Callback URL ${job.callbackUrl} of job ${job.id} failed: ${err.message}`, { taskId: job.id });
+    }
+  }
+
+  /**
+   * Creates a job from the worker manager's task store.
+   * @param {string} taskId - The task id of the job.
+   * @returns {Promise<Object|null>} - The job, or null if the task is not stored.
+   */
+  async #getStoredJob(taskId) {
+    const task = await this.#workerManager.getTaskResult(taskId);
+    if (!task) return null;
+    return {
+      id: task.id,
+      poolName: task.poolName,
+      status: task.status,
+      submittedAt: task.enqueuedAt,
+      finishedAt: task.finishedAt,
+      result: task.result,
+      error: task.error,
+    };
+  }
+
+  /**
+   * Returns the public properties of a job.
+   * @param {Object} job - The job.
+   * @returns {Object} - `{ id, poolName, status, submittedAt, finishedAt, result, error }`
+   */
+  #toJobInfo(job) {
+    const { id, poolName, status, submittedAt, finishedAt, result, error } = job;
+    return { id, poolName, status, submittedAt, finishedAt, result, error };
+  }
+
+  /**
+   * Drops finished jobs whose result has been kept for `resultTtlMs`.
+   */
+  #expireResults() {
+    const now = Date.now();
+    for (const [taskId, finishedAt] of this.#finished) {
+      if (now - finishedAt < this.#config.resultTtlMs) break;
+      this.#finished.delete(taskId);
+      this.#jobs.delete(taskId);
+    }
+  }
+}
+
+/**
+ * Checks whether a value is an absolute HTTP or HTTPS URL.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = { JobManager };
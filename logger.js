@@ -1,7 +1,30 @@
 const winston = require("winston");
 const DailyRotateFile = require("winston-daily-rotate-file");
+const config = require("config");
 
-const myFormat = winston.format.printf(({ timestamp, level, message }) => {
+// Defaults for the `logging` settings in the config
+const LOGGING_DEFAULTS = {
+    level: "debug", // Log only if info.level <= this level
+    format: "text", // "text" for readable lines, "json" for one JSON object per line
+    console: true,
+    file: {
+        enabled: true,
+        dirname: "logs",
+        datePattern: "YYYY-MM-DD",
+        zippedArchive: true,
+        maxSize: "20m",
+        maxFiles: "14d",
+    },
+};
+
+const loggingConfig = config.has("logging") ? config.get("logging") : {};
+const LOGGING_CONFIG = {
+    ...LOGGING_DEFAULTS,
+    ...loggingConfig,
+    file: { ...LOGGING_DEFAULTS.file, ...loggingConfig.file },
+};
+
+const myFormat = winston.format.printf(({ timestamp, level, message, module, ...metadata }) => {
     const date = new Date(timestamp);
     const formattedDate = `${date.getDate().toString().padStart(2, "0")}.${(
         date.getMonth() + 1
@@ -12,33 +35,51 @@ const myFormat = winston.format.printf(({ timestamp, level, message }) => {
         .getMinutes()
         .toString()
         .padStart(2, "0")}:${date.getSeconds().toString().padStart(2, "0")}`;
-    return `${formattedDate} | ${formattedTime} | ${level} | ${message}`;
+    // Metadata of child loggers and log calls, e.g. the pool, pid and task of a worker
+    const fields = Object.entries(metadata)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${typeof value === "object" ? JSON.stringify(value) : value}`)
+        .join(" ");
+    return `${formattedDate} | ${formattedTime} | ${level} | ${module ? `[${module}] ` : ""}${message}${fields ? ` | ${fields}` : ""}`;
 });
 
+/**
+ * Creates the format of a transport for the configured log format.
+ * @param {boolean} colorize - Colorize the level of text lines.
+ * @returns {Object} - The winston format.
+ */
+function createFormat(colorize) {
+    if (LOGGING_CONFIG.format === "json") {
+        return winston.format.combine(winston.format.timestamp(), winston.format.json());
+    }
+    return colorize
+        ? winston.format.combine(winston.format.timestamp(), winston.format.colorize(), myFormat)
+        : winston.format.combine(winston.format.timestamp(), myFormat);
+}
+
+const transports = [];
+if (LOGGING_CONFIG.file.enabled) {
+    // Write all logs with the configured level and below to a daily rotate file
+    const { dirname, datePattern, zippedArchive, maxSize, maxFiles } = LOGGING_CONFIG.file;
+    transports.push(new DailyRotateFile({
+        dirname,
+        filename: "%DATE%.log",
+        datePattern,
+        zippedArchive,
+        maxSize,
+        maxFiles,
+        format: createFormat(false),
+    }));
+}
+if (LOGGING_CONFIG.console) {
+    transports.push(new winston.transports.Console({ format: createFormat(true) }));
+}
+
 const logger = winston.createLogger({
-    level: "debug", // Log only if info.level <= this level
-    format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json(),
-    ),
-    transports: [
-        // Write all logs with level `info` and below to a daily rotate file
-        new DailyRotateFile({
-            filename: "logs/%DATE%.log",
-            datePattern: "YYYY-MM-DD",
-            zippedArchive: true,
-            maxSize: "20m",
-            maxFiles: "14d",
-            format: winston.format.combine(winston.format.timestamp(), myFormat),
-        }),
-        new winston.transports.Console({
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                winston.format.colorize(),
-                myFormat
-            ),
-        }),
-    ],
+    level: LOGGING_CONFIG.level,
+    transports,
+    // Without transports, winston warns about every log call
+    silent: !transports.length,
 });
 
 module.exports = logger;
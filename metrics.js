@@ -0,0 +1,141 @@
+const client = require("prom-client"); // Prometheus client for Node.js, renders metrics in the Prometheus text exposition format
+
+// Buckets in seconds for the queue and run time histograms of tasks
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+/**
+ * Creates a Prometheus registry with the metrics of a worker manager.
+ * Counters and histograms are updated from the manager's events, gauges are collected on every scrape.
+ * @param {Object} workerManager - The worker manager to observe.
+ * @returns {client.Registry} - The registry, `registry.metrics()` renders the metrics.
+ */
+function createMetricsRegistry(workerManager) {
+  const registry = new client.Registry();
+
+  const tasksCompleted = new client.Counter({
+    name: "workerpool_tasks_completed_total",
+    help: "Number of pool tasks that finished successfully",
+    labelNames: ["pool"],
+    registers: [registry],
+  });
+  const tasksFailed = new client.Counter({
+    name: "workerpool_tasks_failed_total",
+    help: "Number of pool tasks that failed, by error code",
+    labelNames: ["pool", "code"],
+    registers: [registry],
+  });
+  const queueDuration = new client.Histogram({
+    name: "workerpool_task_queue_duration_seconds",
+    help: "Time pool tasks spent in the queue before being dispatched to a worker",
+    labelNames: ["pool"],
+    buckets: DURATION_BUCKETS,
+    registers: [registry],
+  });
+  const runDuration = new client.Histogram({
+    name: "workerpool_task_run_duration_seconds",
+    help: "Time from dispatching a pool task to a worker until it was answered",
+    labelNames: ["pool"],
+    buckets: DURATION_BUCKETS,
+    registers: [registry],
+  });
+  const workerRestarts = new client.Counter({
+    name: "workerpool_worker_restarts_total",
+    help: "Number of replaced pool workers, by reason (crash, timeout or recycle)",
+    labelNames: ["pool", "reason"],
+    registers: [registry],
+  });
+
+  workerManager.on("taskDone", ({ poolName, ok, code, queuedMs, runMs }) => {
+    if (ok) {
+      tasksCompleted.inc({ pool: poolName });
+    } else {
+      tasksFailed.inc({ pool: poolName, code });
+    }
+    queueDuration.observe({ pool: poolName }, queuedMs / 1000);
+    if (runMs !== null) {
+      runDuration.observe({ pool: poolName }, runMs / 1000);
+    }
+  });
+  workerManager.on("workerRestart", ({ poolName, reason }) => {
+    workerRestarts.inc({ pool: poolName, reason });
+  });
+
+  // Gauges collected from the current pool state
+  new client.Gauge({
+    name: "workerpool_workers",
+    help: "Number of worker processes per pool, including draining workers",
+    labelNames: ["pool"],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const pool of workerManager.getPoolStats()) {
+        this.set({ pool: pool.poolName }, pool.workerCount);
+      }
+    },
+  });
+  new client.Gauge({
+    name: "workerpool_queue_length",
+    help: "Number of tasks waiting in the queue of a pool",
+    labelNames: ["pool"],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const pool of workerManager.getPoolStats()) {
+        this.set({ pool: pool.poolName }, pool.queueLength);
+      }
+    },
+  });
+  new client.Gauge({
+    name: "workerpool_running_tasks",
+    help: "Number of tasks currently running in the workers of a pool",
+    labelNames: ["pool"],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const pool of workerManager.getPoolStats()) {
+        this.set({ pool: pool.poolName }, pool.runningTasks);
+      }
+    },
+  });
+
+  // Per worker resource usage from pidusage, shared by both gauges during a scrape
+  let workerStats = null;
+  const getWorkerStats = () => {
+    if (!workerStats) {
+      workerStats = workerManager.getWorkerStats().finally(() => {
+        workerStats = null;
+      });
+    }
+    return workerStats;
+  };
+  new client.Gauge({
+    name: "workerpool_worker_cpu_percent",
+    help: "CPU usage of a pool worker process",
+    labelNames: ["pool", "pid"],
+    registers: [registry],
+    async collect() {
+      const { workers } = await getWorkerStats();
+      this.reset();
+      for (const worker of workers) {
+        this.set({ pool: worker.poolName, pid: worker.pid }, worker.stats.cpu);
+      }
+    },
+  });
+  new client.Gauge({
+    name: "workerpool_worker_memory_bytes",
+    help: "Memory usage of a pool worker process",
+    labelNames: ["pool", "pid"],
+    registers: [registry],
+    async collect() {
+      const { workers } = await getWorkerStats();
+      this.reset();
+      for (const worker of workers) {
+        this.set({ pool: worker.poolName, pid: worker.pid }, worker.stats.memory);
+      }
+    },
+  });
+
+  return registry;
+}
+
+module.exports = { createMetricsRegistry };
@@ -0,0 +1,61 @@
+const fs = require("fs"); // Payload files are written synchronously while a task is dispatched
+const os = require("os");
+const path = require("path");
+const v8 = require("v8"); // The serializer of the "advanced" IPC serialization
+
+/**
+ * Returns the default directory of payload files: shared memory (tmpfs) where available, so that payload files
+ * never touch a disk. Only called by the manager, workers load this module without access to the file system.
+ * @returns {string} - The directory.
+ */
+function getDefaultPayloadDir() {
+  return fs.existsSync("/dev/shm") ? "/dev/shm" : os.tmpdir();
+}
+
+/**
+ * Serializes task data the way the IPC channel of the worker would.
+ * @param {*} data - The task data.
+ * @param {string} serialization - "json" or "advanced".
+ * @returns {Buffer|null} - The serialized data, or null if there is no data.
+ */
+function serializePayload(data, serialization) {
+  if (data === undefined) return null;
+  return serialization === "advanced" ? v8.serialize(data) : Buffer.from(JSON.stringify(data));
+}
+
+/**
+ * Writes serialized task data to a file that only the worker's user can read.
+ * @param {string} taskId - The id of the task, used as file name.
+ * @param {Buffer} buffer - The serialized task data, see `serializePayload`.
+ * @param {Object} settings - `payloadDir` and `serialization` of the pool, and `uid` and `gid` of its workers.
+ * @returns {Object} - The handle `{ path, serialization, size }` sent to the worker instead of the data.
+ */
+function writePayloadFile(taskId, buffer, { payloadDir, serialization, uid, gid }) {
+  const file = path.join(payloadDir, `workerpool-${taskId}.payload`);
+  fs.writeFileSync(file, buffer, { mode: 0o600 });
+  if (uid !== undefined || gid !== undefined) {
+    fs.chownSync(file, uid ?? -1, gid ?? -1);
+  }
+  return { path: file, serialization, size: buffer.length };
+}
+
+/**
+ * Reads the task data of a payload file, used by the worker runtime.
+ * @param {Object} handle - The handle created by `writePayloadFile`.
+ * @returns {Promise<*>} - The task data.
+ */
+async function readPayloadFile(handle) {
+  const buffer = await fs.promises.readFile(handle.path);
+  return handle.serialization === "advanced" ? v8.deserialize(buffer) : JSON.parse(buffer.toString());
+}
+
+/**
+ * Deletes a payload file.
+ * @param {Object} handle - The handle created by `writePayloadFile`.
+ * @returns {Promise<void>} - Resolves once the file is deleted, also if it did not exist.
+ */
+function removePayloadFile(handle) {
+  return fs.promises.rm(handle.path, { force: true });
+}
+
+module.exports = { getDefaultPayloadDir, serializePayload, writePayloadFile, readPayloadFile, removePayloadFile };
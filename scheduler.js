@@ -0,0 +1,327 @@
+const logger = require("./logger").child({ module: "scheduler" }); // Imports a custom logger module based on the 'winston' module
+const { ERROR_CODES, WorkerPoolError } = require("./errors"); // Error codes and typed errors shared with the HTTP layer
+const { validateSchedule } = require("./configSchema"); // JSON schema of schedules
+const CronExpression = require("./cronExpression"); // Times of cron schedules
+
+// Defaults for the settings of a schedule (`schedules` in the config)
+const SCHEDULE_DEFAULTS = {
+  overlap: "skip", // what happens when a run is due while the previous run is still queued or running
+  jitterMs: 0, // runs are delayed by a random time up to this, so that schedules with the same time do not start at once
+  paused: false,
+};
+
+// Overlap policies of schedules
+const OVERLAP_POLICIES = {
+  SKIP: "skip", // the run is skipped
+  QUEUE: "queue", // the run starts once the previous run has finished, at most one run waits
+  ALLOW: "allow", // the run starts anyway
+};
+
+// Status of the runs of a schedule
+const RUN_STATUS = {
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+};
+
+// Longest delay of `setTimeout`, runs that are further away are waited for in several steps
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * Runs pool tasks on a schedule: at the times of a cron expression or at a fixed interval.
+ * Every schedule keeps its last run with status and duration. Runs that are missed while the
+ * process is not running, or not responsive, are not caught up.
+ */
+class Scheduler {
+
+  #workerManager;
+  #schedules = new Map(); // name -> schedule
+  #stopped = false;
+
+  /**
+   * @param {Object} workerManager - The worker manager executing the scheduled tasks.
+   */
+  constructor(workerManager) {
+    this.#workerManager = workerManager;
+  }
+
+  /**
+   * Adds a schedule and plans its first run.
+   * @param {Object} definition - The schedule, see `SCHEDULE_SCHEMA` in configSchema.js: `name`, `poolName`,
+   *   `workerTask`, `cron` or `intervalMs`, and optionally `overlap`, `jitterMs`, `paused` and the task options
+   *   `taskTimeout`, `priority`, `tenant` and `affinityKey`.
+   * @returns {Object} - `{ ok: true, schedule }` with the schedule's info, otherwise `{ ok: false, code, message }`.
+   */
+  addSchedule(definition) {
+    const errors = validateSchedule(definition);
+    if (errors.length) {
+      return { ok: false, code: ERROR_CODES.INVALID_SCHEDULE, message: `Invalid schedule: ${errors.join("; ")}` };
+    }
+    if (this.#schedules.has(definition.name)) {
+      return { ok: false, code: ERROR_CODES.SCHEDULE_EXISTS, message: `Schedule ${definition.name} already exists` };
+    }
+
+    const settings = { ...SCHEDULE_DEFAULTS, ...definition };
+    const schedule = {
+      settings,
+      cron: settings.cron !== undefined ? new CronExpression(settings.cron) : null,
+      paused: settings.paused,
+      timer: null,
+      plannedAt: null, // time of the next run without jitter
+      nextRunAt: null,
+      runs: new Set(), // runs whose task is queued or running
+      runQueued: false, // a run waits for the running one, with the `queue` policy
+      runCount: 0,
+      skippedRuns: 0,
+      lastRun: null,
+    };
+    this.#schedules.set(settings.name, schedule);
+    this.#planNextRun(schedule);
+    logger.info(`Schedule ${settings.name} added for pool ${settings.poolName}`, { schedule: settings.name, poolName: settings.poolName });
+    return { ok: true, schedule: this.#toScheduleInfo(schedule) };
+  }
+
+  /**
+   * Removes a schedule. Its queued or running tasks are not cancelled.
+   * @param {string} name - Name of the schedule.
+   * @returns {Object} - `{ ok: true }`, or `{ ok: false, code, message }` if the schedule does not exist.
+   */
+  removeSchedule(name) {
+    const schedule = this.#schedules.get(name);
+    if (!schedule) {
+      return this.#createNotFoundResult(name);
+    }
+    clearTimeout(schedule.timer);
+    this.#schedules.delete(name);
+    logger.info(`Schedule ${name} removed`, { schedule: name });
+    return { ok: true };
+  }
+
+  /**
+   * Pauses a schedule, it is not run until resumed. It can still be triggered by hand.
+   * @param {string} name - Name of the schedule.
+   * @returns {Object} - `{ ok: true, schedule }`, or `{ ok: false, code, message }` if the schedule does not exist.
+   */
+  pauseSchedule(name) {
+    return this.#setPaused(name, true);
+  }
+
+  /**
+   * Resumes a paused schedule, its next run is planned from now.
+   * @param {string} name - Name of the schedule.
+   * @returns {Object} - `{ ok: true, schedule }`, or `{ ok: false, code, message }` if the schedule does not exist.
+   */
+  resumeSchedule(name) {
+    return this.#setPaused(name, false);
+  }
+
+  /**
+   * Runs a schedule now, independent of its planned runs but subject to its overlap policy.
+   * @param {string} name - Name of the schedule.
+   * @returns {Object} - `{ ok: true, taskId }` if the task was submitted, `{ ok: true, queued: true }` if it waits
+   *   for the running task, otherwise `{ ok: false, code, message }`.
+   */
+  triggerSchedule(name) {
+    const schedule = this.#schedules.get(name);
+    if (!schedule) {
+      return this.#createNotFoundResult(name);
+    }
+    return this.#run(schedule, "manual");
+  }
+
+  /**
+   * Retrieves all schedules.
+   * @returns {Object[]} - The info of every schedule, see `getSchedule`.
+   */
+  getSchedules() {
+    return [...this.#schedules.values()].map((schedule) => this.#toScheduleInfo(schedule));
+  }
+
+  /**
+   * Retrieves a schedule.
+   * @param {string} name - Name of the schedule.
+   * @returns {Object|null} - The schedule's settings with `paused`, `nextRunAt`, `running` (number of queued or
+   *   running tasks), `runQueued`, `runCount`, `skippedRuns` and `lastRun` (`{ taskId, trigger, status, startedAt,
+   *   finishedAt, durationMs, error }`), or null if the schedule does not exist.
+   */
+  getSchedule(name) {
+    const schedule = this.#schedules.get(name);
+    return schedule ? this.#toScheduleInfo(schedule) : null;
+  }
+
+  /**
+   * Stops all schedules, e.g. before the worker manager shuts down. Tasks that were already submitted are not cancelled.
+   */
+  stop() {
+    this.#stopped = true;
+    for (const schedule of this.#schedules.values()) {
+      clearTimeout(schedule.timer);
+      schedule.timer = null;
+      schedule.nextRunAt = null;
+    }
+  }
+
+  /**
+   * Pauses or resumes a schedule.
+   * @param {string} name - Name of the schedule.
+   * @param {boolean} paused - Pause the schedule.
+   * @returns {Object} - `{ ok: true, schedule }`, or `{ ok: false, code, message }` if the schedule does not exist.
+   */
+  #setPaused(name, paused) {
+    const schedule = this.#schedules.get(name);
+    if (!schedule) {
+      return this.#createNotFoundResult(name);
+    }
+    if (schedule.paused !== paused) {
+      schedule.paused = paused;
+      schedule.plannedAt = null;
+      this.#planNextRun(schedule);
+      logger.info(`Schedule ${name} ${paused ? "paused" : "resumed"}`, { schedule: name });
+    }
+    return { ok: true, schedule: this.#toScheduleInfo(schedule) };
+  }
+
+  /**
+   * Plans the next run of a schedule. The next time is computed from the previous planned time, so that
+   * jitter does not add up. Runs that were missed, e.g. while the process was suspended, are skipped.
+   * @param {Object} schedule - The schedule.
+   */
+  #planNextRun(schedule) {
+    clearTimeout(schedule.timer);
+    schedule.timer = null;
+    schedule.nextRunAt = null;
+    if (schedule.paused || this.#stopped) return;
+
+    const now = Date.now();
+    let plannedAt = this.#getRunTime(schedule, schedule.plannedAt ?? now);
+    if (plannedAt !== null && plannedAt < now) {
+      plannedAt = this.#getRunTime(schedule, now);
+    }
+    schedule.plannedAt = plannedAt;
+    if (plannedAt === null) {
+      logger.warn(`Schedule ${schedule.settings.name} has no further runs`, { schedule: schedule.settings.name });
+      return;
+    }
+    schedule.nextRunAt = plannedAt + Math.floor(Math.random() * (schedule.settings.jitterMs + 1));
+    this.#startTimer(schedule);
+  }
+
+  /**
+   * Computes the run time of a schedule that follows a given time.
+   * @param {Object} schedule - The schedule.
+   * @param {number} from - The time in milliseconds.
+   * @returns {number|null} - The run time in milliseconds, or null if the cron expression matches no further time.
+   */
+  #getRunTime(schedule, from) {
+    if (!schedule.cron) {
+      return from + schedule.settings.intervalMs;
+    }
+    return schedule.cron.next(new Date(from))?.getTime() ?? null;
+  }
+
+  /**
+   * Starts the timer for the next run of a schedule.
+   * @param {Object} schedule - The schedule.
+   */
+  #startTimer(schedule) {
+    const delay = Math.min(Math.max(schedule.nextRunAt - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    schedule.timer = setTimeout(() => {
+      if (schedule.nextRunAt > Date.now()) {
+        this.#startTimer(schedule);
+        return;
+      }
+      this.#planNextRun(schedule);
+      this.#run(schedule, "schedule");
+    }, delay);
+    // Schedules do not keep the process alive
+    schedule.timer.unref();
+  }
+
+  /**
+   * Runs a schedule, applying its overlap policy if its previous task is still queued or running.
+   * @param {Object} schedule - The schedule.
+   * @param {string} trigger - "schedule", "manual", or "queued" for a run that waited for the previous one.
+   * @returns {Object} - `{ ok: true, taskId }` if the task was submitted, `{ ok: true, queued: true }` if it waits
+   *   for the running task, otherwise `{ ok: false, code, message }`.
+   */
+  #run(schedule, trigger) {
+    const { name, poolName, workerTask, overlap, taskTimeout, priority, tenant, affinityKey } = schedule.settings;
+    if (schedule.runs.size && overlap !== OVERLAP_POLICIES.ALLOW) {
+      if (overlap === OVERLAP_POLICIES.QUEUE) {
+        schedule.runQueued = true;
+        return { ok: true, queued: true };
+      }
+      schedule.skippedRuns++;
+      logger.warn(`Run of schedule ${name} skipped, its previous task is still running`, { schedule: name, poolName });
+      return { ok: false, code: ERROR_CODES.SCHEDULE_BUSY, message: `Schedule ${name} is still running` };
+    }
+
+    const run = { taskId: null, trigger, status: RUN_STATUS.RUNNING, startedAt: Date.now(), finishedAt: null, durationMs: null, error: null };
+    schedule.lastRun = run;
+    schedule.runCount++;
+    schedule.runs.add(run);
+    const res = this.#workerManager.executePoolWorkerTask({ data: workerTask }, (message) => this.#finishRun(schedule, run, message),
+      poolName, { timeout: taskTimeout, priority, tenant, affinityKey });
+    if (!res.ok) {
+      this.#finishRun(schedule, run, { ok: false, data: res.message, error: new WorkerPoolError(res.message, res.code) });
+      return res;
+    }
+    run.taskId = res.taskId;
+    return res;
+  }
+
+  /**
+   * Records the outcome of a run, and starts the queued run of the schedule if there is one.
+   * @param {Object} schedule - The schedule.
+   * @param {Object} run - The run.
+   * @param {Object} message - The message passed to the task's callback.
+   */
+  #finishRun(schedule, run, message) {
+    run.finishedAt = Date.now();
+    run.durationMs = run.finishedAt - run.startedAt;
+    schedule.runs.delete(run);
+    const { name, poolName } = schedule.settings;
+    if (message.ok) {
+      run.status = RUN_STATUS.DONE;
+    } else {
+      run.status = RUN_STATUS.FAILED;
+      // Errors of the manager have a code, errors reported by the worker are task failures
+      run.error = { message: message.data, code: message.error instanceof WorkerPoolError ? message.error.code : ERROR_CODES.TASK_FAILED };
+      logger.warn(`Run of schedule ${name} failed: ${run.error.message}`, { schedule: name, poolName, taskId: run.taskId });
+    }
+
+    if (schedule.runQueued && this.#schedules.get(name) === schedule && !this.#stopped) {
+      schedule.runQueued = false;
+      this.#run(schedule, "queued");
+    }
+  }
+
+  /**
+   * Creates the info of a schedule as returned by `getSchedule`.
+   * @param {Object} schedule - The schedule.
+   * @returns {Object}
+   */
+  #toScheduleInfo(schedule) {
+    return {
+      ...schedule.settings,
+      paused: schedule.paused,
+      nextRunAt: schedule.nextRunAt,
+      running: schedule.runs.size,
+      runQueued: schedule.runQueued,
+      runCount: schedule.runCount,
+      skippedRuns: schedule.skippedRuns,
+      lastRun: schedule.lastRun && { ...schedule.lastRun },
+    };
+  }
+
+  /**
+   * Creates the result for a schedule that does not exist.
+   * @param {string} name - Name of the schedule.
+   * @returns {Object} - `{ ok: false, code, message }`.
+   */
+  #createNotFoundResult(name) {
+    return { ok: false, code: ERROR_CODES.SCHEDULE_NOT_FOUND, message: `Schedule ${name} does not exist` };
+  }
+}
+
+module.exports = { Scheduler, OVERLAP_POLICIES, RUN_STATUS };
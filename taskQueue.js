@@ -0,0 +1,216 @@
+// Tenant of tasks that are queued without a tenant
+const DEFAULT_TENANT = "default";
+
+/**
+ * Queue of pending tasks of a worker pool.
+ *
+ * Tasks with a higher priority are dequeued first. Within a priority level, the tenants
+ * are served by smooth weighted round-robin, and the tasks of a tenant in FIFO order.
+ * Queue entries are objects with the properties `task`, `priority` and `tenant`.
+ */
+class TaskQueue {
+
+  #levels = new Map(); // priority -> { tenants: Map<tenant, entry[]>, currentWeights: Map<tenant, number> }
+  #tenantWeights;
+  #length = 0;
+
+  /**
+   * @param {Object} [tenantWeights] - Weight of each tenant, tenants without a weight get 1.
+   */
+  constructor(tenantWeights = {}) {
+    this.#tenantWeights = tenantWeights;
+  }
+
+  /**
+   * Changes the weights of the tenants, e.g. after the pool config changed.
+   * @param {Object} [tenantWeights] - Weight of each tenant, tenants without a weight get 1.
+   */
+  setTenantWeights(tenantWeights = {}) {
+    this.#tenantWeights = tenantWeights;
+  }
+
+  /**
+   * The number of queued entries.
+   * @returns {number}
+   */
+  get length() {
+    return this.#length;
+  }
+
+  /**
+   * Adds an entry at the end of its tenant's queue.
+   * @param {Object} entry - The queue entry.
+   */
+  push(entry) {
+    this.#getTenantQueue(entry).push(entry);
+    this.#length++;
+  }
+
+  /**
+   * Adds an entry at the head of its tenant's queue, e.g. to retry it.
+   * @param {Object} entry - The queue entry.
+   */
+  unshift(entry) {
+    this.#getTenantQueue(entry).unshift(entry);
+    this.#length++;
+  }
+
+  /**
+   * Removes and returns the next entry.
+   * @returns {Object|undefined} - The entry, or undefined if the queue is empty.
+   */
+  shift() {
+    if (!this.#length) return undefined;
+
+    const priority = Math.max(...this.#levels.keys());
+    const level = this.#levels.get(priority);
+    const selectedTenant = this.#selectTenant(level.tenants.keys(), level.currentWeights);
+
+    const entry = level.tenants.get(selectedTenant).shift();
+    this.#length--;
+    this.#cleanUp(priority, selectedTenant);
+    return entry;
+  }
+
+  /**
+   * Removes the entry of a task.
+   * @param {string} taskId - The id of the task.
+   * @returns {Object|null} - The removed entry, or null if the task is not queued.
+   */
+  remove(taskId) {
+    for (const [priority, level] of this.#levels) {
+      for (const [tenant, entries] of level.tenants) {
+        const index = entries.findIndex((entry) => entry.task.id === taskId);
+        if (index !== -1) {
+          const [entry] = entries.splice(index, 1);
+          this.#length--;
+          this.#cleanUp(priority, tenant);
+          return entry;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Determines how many entries are dequeued before the entry of a task, assuming no other entries are added.
+   * @param {string} taskId - The id of the task.
+   * @returns {number} - The position of the task (0 = next), or -1 if the task is not queued.
+   */
+  position(taskId) {
+    let ahead = 0;
+    for (const priority of [...this.#levels.keys()].sort((a, b) => b - a)) {
+      const level = this.#levels.get(priority);
+      let taskTenant = null;
+      let taskIndex = -1;
+      for (const [tenant, entries] of level.tenants) {
+        taskIndex = entries.findIndex((entry) => entry.task.id === taskId);
+        if (taskIndex !== -1) {
+          taskTenant = tenant;
+          break;
+        }
+      }
+      if (taskTenant === null) {
+        for (const entries of level.tenants.values()) {
+          ahead += entries.length;
+        }
+        continue;
+      }
+
+      // Replay the round-robin on copies of the level's state until the task's entry is served
+      const remaining = new Map([...level.tenants].map(([tenant, entries]) => [tenant, entries.length]));
+      const currentWeights = new Map(level.currentWeights);
+      let served = 0;
+      for (;;) {
+        const tenant = this.#selectTenant(remaining.keys(), currentWeights);
+        if (tenant === taskTenant) {
+          if (served === taskIndex) return ahead;
+          served++;
+        }
+        ahead++;
+        remaining.set(tenant, remaining.get(tenant) - 1);
+        if (!remaining.get(tenant)) {
+          remaining.delete(tenant);
+          currentWeights.delete(tenant);
+        }
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Removes all entries.
+   * @returns {Object[]} - The removed entries.
+   */
+  clear() {
+    const entries = [];
+    for (const level of this.#levels.values()) {
+      for (const tenantEntries of level.tenants.values()) {
+        entries.push(...tenantEntries);
+      }
+    }
+    this.#levels.clear();
+    this.#length = 0;
+    return entries;
+  }
+
+  /**
+   * Selects the tenant to serve next by smooth weighted round-robin: every tenant gains its weight,
+   * the tenant with the highest current weight is served and loses the total weight of all tenants.
+   * @param {Iterable<string>} tenants - The tenants with queued entries.
+   * @param {Map<string, number>} currentWeights - The current weights of the tenants, updated in place.
+   * @returns {string} - The selected tenant.
+   */
+  #selectTenant(tenants, currentWeights) {
+    let totalWeight = 0;
+    let selectedTenant = null;
+    for (const tenant of tenants) {
+      const weight = this.#tenantWeights[tenant] ?? 1;
+      const currentWeight = (currentWeights.get(tenant) ?? 0) + weight;
+      currentWeights.set(tenant, currentWeight);
+      totalWeight += weight;
+      if (selectedTenant === null || currentWeight > currentWeights.get(selectedTenant)) {
+        selectedTenant = tenant;
+      }
+    }
+    currentWeights.set(selectedTenant, currentWeights.get(selectedTenant) - totalWeight);
+    return selectedTenant;
+  }
+
+  /**
+   * Returns the queue of the entry's tenant within the entry's priority level.
+   * @param {Object} entry - The queue entry.
+   * @returns {Object[]} - The tenant's queue.
+   */
+  #getTenantQueue(entry) {
+    const priority = entry.priority ?? 0;
+    const tenant = entry.tenant ?? DEFAULT_TENANT;
+
+    if (!this.#levels.has(priority)) {
+      this.#levels.set(priority, { tenants: new Map(), currentWeights: new Map() });
+    }
+    const level = this.#levels.get(priority);
+    if (!level.tenants.has(tenant)) {
+      level.tenants.set(tenant, []);
+    }
+    return level.tenants.get(tenant);
+  }
+
+  /**
+   * Drops the tenant queue and priority level if they have become empty.
+   * @param {number} priority - The priority level.
+   * @param {string} tenant - The tenant.
+   */
+  #cleanUp(priority, tenant) {
+    const level = this.#levels.get(priority);
+    if (level.tenants.get(tenant).length) return;
+
+    level.tenants.delete(tenant);
+    level.currentWeights.delete(tenant);
+    if (!level.tenants.size) {
+      this.#levels.delete(priority);
+    }
+  }
+}
+
+module.exports = TaskQueue;
@@ -0,0 +1,289 @@
+const fs = require("fs"); // Journal records are appended in batches, so that writing them does not block the dispatch of tasks
+const path = require("path");
+const v8 = require("v8"); // Serializes the task data and results of pools with the "advanced" IPC serialization
+const logger = require("./logger").child({ module: "taskStore" }); // Imports a custom logger module based on the 'winston' module
+
+// Time finished tasks are kept for `getTask`
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Interval of the journal compaction while the store is running
+const DEFAULT_COMPACT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Status of stored tasks
+const TASK_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+};
+
+/**
+ * Interface of the persistence layer of the worker manager.
+ *
+ * A store records the lifecycle of pool tasks, so that unfinished tasks can be replayed after a
+ * restart and results can be fetched by task id. Tasks are records with the properties `id`,
+ * `poolName`, `data`, `priority`, `tenant`, `affinityKey`, `timeout`, `enqueuedAt` and `serialization`,
+ * the IPC serialization of the pool ("json" or "advanced"), which the task data and result must survive.
+ *
+ * @typedef {Object} TaskStore
+ * @property {function(): Promise<Object[]>} load - Loads the store before tasks are recorded, resolves with the tasks
+ *   that were enqueued but not finished, in enqueue order.
+ * @property {function(Object): void} recordEnqueue - Records a task that was added to a pool's queue.
+ * @property {function(string): void} recordDispatch - Records that a task was dispatched to a worker.
+ * @property {function(string, *): void} recordCompletion - Records the result (`data` of the `workDone` message) of a task.
+ * @property {function(string, Object): void} recordFailure - Records the failure `{ message, code }` of a task.
+ * @property {function(string): Promise<Object|null>} getTask - Resolves with `{ id, poolName, status, enqueuedAt,
+ *   finishedAt, result, error }` of a task, or null if the task is unknown.
+ * @property {function(): Promise<void>} [close] - Writes what is still buffered, called when the worker manager shuts down.
+ * The `record*` functions may return a Promise.
+ */
+
+/**
+ * Task store based on an append-only journal file with one JSON record per line. The task data and results
+ * of tasks with the "advanced" serialization are stored as base64 of the v8 serializer, so that Buffers,
+ * typed arrays, Maps, Sets and Dates are restored intact.
+ *
+ * Records are buffered and appended in batches, one write at a time. The journal is compacted on `load`
+ * and every `compactIntervalMs`: only unfinished tasks and finished tasks within the retention time are kept.
+ * Finished tasks are also dropped from memory after the retention time, their task data right away.
+ */
+class FileTaskStore {
+
+  #journalPath;
+  #retentionMs;
+  #compactIntervalMs;
+  #compactTimer = null;
+  #tasks = new Map(); // task id -> stored task
+  #finished = new Map(); // task id -> finish time, in finish order for pruning
+  #buffer = []; // journal lines not written yet
+  #writing = Promise.resolve(); // the last queued write, writes of the journal never overlap
+
+  /**
+   * @param {Object} options
+   * @param {string} options.journalPath - Path of the journal file, its directory is created if needed.
+   * @param {number} [options.retentionMs] - Time finished tasks are kept, default 24 hours.
+   * @param {number} [options.compactIntervalMs] - Interval of the journal compaction, default 1 hour, 0 = only on `load`.
+   */
+  constructor({ journalPath, retentionMs = DEFAULT_RETENTION_MS, compactIntervalMs = DEFAULT_COMPACT_INTERVAL_MS }) {
+    this.#journalPath = journalPath;
+    this.#retentionMs = retentionMs;
+    this.#compactIntervalMs = compactIntervalMs;
+  }
+
+  // Implementation of the `TaskStore` interface
+
+  async load() {
+    await fs.promises.mkdir(path.dirname(this.#journalPath), { recursive: true });
+    let content = "";
+    try {
+      content = await fs.promises.readFile(this.#journalPath, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+
+    for (const line of content.split("\n")) {
+      if (!line) continue;
+      let record;
+      try {
+        record = this.#decodeRecord(JSON.parse(line));
+      } catch (err) {
+        continue; // a torn last line of a crashed process
+      }
+      this.#apply(record);
+    }
+    await this.#compact();
+    if (this.#compactIntervalMs && !this.#compactTimer) {
+      this.#compactTimer = setInterval(() => {
+        this.#compact().catch((err) => logger.error(`Compacting the task journal ${this.#journalPath} failed: ${err.message}`));
+      }, this.#compactIntervalMs);
+      this.#compactTimer.unref();
+    }
+
+    return [...this.#tasks.values()]
+      .filter((task) => task.status === TASK_STATUS.QUEUED || task.status === TASK_STATUS.RUNNING)
+      .map((task) => task.record);
+  }
+
+  recordEnqueue(task) {
+    this.#append({ event: "enqueue", task });
+  }
+
+  recordDispatch(taskId) {
+    this.#append({ event: "dispatch", id: taskId, time: Date.now() });
+  }
+
+  recordCompletion(taskId, result) {
+    this.#append({ event: "complete", id: taskId, time: Date.now(), result });
+  }
+
+  recordFailure(taskId, error) {
+    this.#append({ event: "fail", id: taskId, time: Date.now(), error });
+  }
+
+  async close() {
+    clearInterval(this.#compactTimer);
+    this.#compactTimer = null;
+    await this.#flush();
+  }
+
+  async getTask(taskId) {
+    this.#prune();
+    const task = this.#tasks.get(taskId);
+    if (!task) return null;
+    const { id, poolName, status, enqueuedAt, finishedAt, result, error } = task;
+    return { id, poolName, status, enqueuedAt, finishedAt, result, error };
+  }
+
+  /**
+   * Applies a record to the tasks in memory and buffers it for the next write of the journal.
+   * @param {Object} record - The journal record.
+   * @returns {Promise<void>} - Resolves once the record is written.
+   */
+  #append(record) {
+    this.#buffer.push(this.#toLine(record));
+    this.#apply(record);
+    this.#prune();
+    return this.#flush();
+  }
+
+  /**
+   * Queues a write of the buffered records. The records of a burst of tasks are collected until the previous write is done.
+   * @returns {Promise<void>} - Resolves once the buffered records are written.
+   */
+  #flush() {
+    this.#writing = this.#writing.catch(() => {}).then(() => {
+      if (!this.#buffer.length) return;
+      const lines = this.#buffer.join("");
+      this.#buffer = [];
+      return fs.promises.appendFile(this.#journalPath, lines);
+    });
+    return this.#writing;
+  }
+
+  /**
+   * Rewrites the journal with the tasks in memory after pruning the expired ones, through a temporary file so that it is
+   * never half written. The buffered records are part of the tasks in memory, so they are dropped from the buffer.
+   * @returns {Promise<void>} - Resolves once the journal is rewritten.
+   */
+  #compact() {
+    this.#writing = this.#writing.catch(() => {}).then(async () => {
+      this.#prune();
+      const records = [];
+      for (const task of this.#tasks.values()) {
+        records.push({ event: "enqueue", task: task.record });
+        if (task.status === TASK_STATUS.RUNNING) {
+          records.push({ event: "dispatch", id: task.id, time: task.dispatchedAt });
+        } else if (task.status === TASK_STATUS.DONE) {
+          records.push({ event: "complete", id: task.id, time: task.finishedAt, result: task.result });
+        } else if (task.status === TASK_STATUS.FAILED) {
+          records.push({ event: "fail", id: task.id, time: task.finishedAt, error: task.error });
+        }
+      }
+      this.#buffer = [];
+      const tempPath = `${this.#journalPath}.tmp`;
+      await fs.promises.writeFile(tempPath, records.map((record) => this.#toLine(record)).join(""));
+      await fs.promises.rename(tempPath, this.#journalPath);
+    });
+    return this.#writing;
+  }
+
+  /**
+   * Converts a record to a line of the journal.
+   * @param {Object} record - The journal record.
+   * @returns {string} - The line.
+   */
+  #toLine(record) {
+    return JSON.stringify(this.#encodeRecord(record)) + "\n";
+  }
+
+  /**
+   * Serializes the task data of an `enqueue` record and the result of a `complete` record with v8, if the task has
+   * the "advanced" serialization. A `complete` record must be encoded before it is applied.
+   * @param {Object} record - The journal record.
+   * @returns {Object} - The record as written to the journal.
+   */
+  #encodeRecord(record) {
+    const encode = (value) => value === undefined ? value : v8.serialize(value).toString("base64");
+    if (record.event === "enqueue" && record.task.serialization === "advanced") {
+      return { ...record, task: { ...record.task, data: encode(record.task.data) } };
+    }
+    if (record.event === "complete" && this.#tasks.get(record.id)?.record.serialization === "advanced") {
+      return { ...record, result: encode(record.result) };
+    }
+    return record;
+  }
+
+  /**
+   * Reverses `#encodeRecord` for a record read from the journal. A `complete` record must be decoded before it is applied.
+   * @param {Object} record - The record as written to the journal.
+   * @returns {Object} - The journal record.
+   */
+  #decodeRecord(record) {
+    const decode = (value) => value === undefined ? value : v8.deserialize(Buffer.from(value, "base64"));
+    if (record.event === "enqueue" && record.task.serialization === "advanced") {
+      return { ...record, task: { ...record.task, data: decode(record.task.data) } };
+    }
+    if (record.event === "complete" && this.#tasks.get(record.id)?.record.serialization === "advanced") {
+      return { ...record, result: decode(record.result) };
+    }
+    return record;
+  }
+
+  /**
+   * Updates the tasks in memory with a journal record.
+   * @param {Object} record - The journal record.
+   */
+  #apply(record) {
+    if (record.event === "enqueue") {
+      const { id, poolName, enqueuedAt } = record.task;
+      this.#tasks.set(id, { id, poolName, status: TASK_STATUS.QUEUED, enqueuedAt, finishedAt: null, record: record.task });
+      return;
+    }
+
+    const task = this.#tasks.get(record.id);
+    if (!task) return; // pruned
+    switch (record.event) {
+      case "dispatch":
+        task.status = TASK_STATUS.RUNNING;
+        task.dispatchedAt = record.time;
+        break;
+      case "complete":
+        task.status = TASK_STATUS.DONE;
+        task.result = record.result;
+        this.#setFinished(task, record.time);
+        break;
+      case "fail":
+        task.status = TASK_STATUS.FAILED;
+        task.error = record.error;
+        this.#setFinished(task, record.time);
+        break;
+    }
+  }
+
+  /**
+   * Marks a task as finished.
+   * @param {Object} task - The stored task.
+   * @param {number} time - The finish time.
+   */
+  #setFinished(task, time) {
+    task.finishedAt = time;
+    // The task data is only needed to replay unfinished tasks
+    delete task.record.data;
+    this.#finished.delete(task.id);
+    this.#finished.set(task.id, time);
+  }
+
+  /**
+   * Drops finished tasks whose retention time has expired.
+   */
+  #prune() {
+    const now = Date.now();
+    for (const [taskId, finishedAt] of this.#finished) {
+      if (now - finishedAt < this.#retentionMs) break;
+      this.#finished.delete(taskId);
+      this.#tasks.delete(taskId);
+    }
+  }
+}
+
+module.exports = { TASK_STATUS, FileTaskStore };
@@ -0,0 +1,144 @@
+const EventEmitter = require("events");
+const { finished } = require("stream"); // The `close` event waits for the output streams of the thread
+const { Worker } = require("worker_threads");
+const { WORKER_MESSAGE_TYPES } = require("./workerProtocol"); // Message types shared with the worker runtime
+
+// Time a thread has to answer a `stats` request
+const STATS_TIMEOUT_MS = 1000;
+
+/**
+ * A worker thread with the interface of the child processes of `fork`, so that the worker manager
+ * treats both backends alike: `send`, `kill`, `connected`, `killed`, `exitCode`, `signalCode`, the
+ * `message`, `exit`, `close` and `error` events and, with `stdio: "pipe"`, `stdout` and `stderr`.
+ *
+ * Threads have no pid of their own, `pid` is the thread id. A killed thread exits with the signal
+ * passed to `kill`, like a killed process.
+ */
+class ThreadWorker extends EventEmitter {
+
+  #worker;
+  #statsListeners = new Set(); // listeners waiting for the answer to a `stats` request
+  #eventLoopUtilization; // event loop utilization at the last `getUsage` call
+  #startedAt = Date.now();
+
+  /**
+   * @param {string} workerScript - Absolute path to the worker's JavaScript file.
+   * @param {Object} options
+   * @param {number} options.memoryLimit - Maximum size of the thread's old generation heap in MB.
+   * @param {Object} options.env - Environment variables of the thread.
+   * @param {string[]} [options.execArgv] - Node options of the thread, only options that threads support.
+   * @param {string[]} [options.args] - Arguments of the script, appended to `process.argv`.
+   * @param {string} [options.stdio] - "pipe" for `stdout` and `stderr` streams, "ignore", or "inherit" to write
+   *   to the output of the manager.
+   */
+  constructor(workerScript, { memoryLimit, env, execArgv = [], args = [], stdio = "inherit" }) {
+    super();
+    const ownOutput = stdio !== "inherit";
+    this.#worker = new Worker(workerScript, {
+      argv: args,
+      env,
+      execArgv,
+      resourceLimits: { maxOldGenerationSizeMb: memoryLimit },
+      stdout: ownOutput,
+      stderr: ownOutput,
+    });
+
+    this.pid = this.#worker.threadId; // the thread id is -1 once the thread has exited
+    this.connected = true;
+    this.killed = false;
+    this.exitCode = null;
+    this.signalCode = null;
+    this.stdout = stdio === "pipe" ? this.#worker.stdout : null;
+    this.stderr = stdio === "pipe" ? this.#worker.stderr : null;
+    if (stdio === "ignore") {
+      this.#worker.stdout.resume();
+      this.#worker.stderr.resume();
+    }
+
+    this.#worker.on("message", (message) => {
+      if (message?.type === WORKER_MESSAGE_TYPES.STATS) {
+        for (const listener of this.#statsListeners) {
+          listener(message.data);
+        }
+        return;
+      }
+      this.emit("message", message);
+    });
+    this.#worker.on("error", (err) => this.emit("error", err));
+    this.#worker.on("exit", (code) => {
+      this.connected = false;
+      const signal = this.signalCode;
+      this.exitCode = signal ? null : code;
+      this.emit("exit", this.exitCode, signal);
+      // Like a child process, `close` follows once the output has been read
+      const streams = [this.stdout, this.stderr].filter(Boolean);
+      let open = streams.length;
+      if (!open) {
+        setImmediate(() => this.emit("close", this.exitCode, signal));
+      }
+      for (const stream of streams) {
+        finished(stream, () => {
+          if (--open === 0) this.emit("close", this.exitCode, signal);
+        });
+      }
+    });
+  }
+
+  /**
+   * Sends a message to the thread.
+   * @param {Object} message - The message, copied with the structured clone algorithm.
+   * @param {Function} [callback] - Called once the message is sent.
+   * @returns {boolean} - False if the thread has exited.
+   */
+  send(message, callback) {
+    if (!this.connected) {
+      callback?.(new Error("Worker thread has exited"));
+      return false;
+    }
+    this.#worker.postMessage(message);
+    callback?.(null);
+    return true;
+  }
+
+  /**
+   * Stops the thread right away, the `exit` event reports the signal.
+   * @param {string} [signal="SIGTERM"] - The signal reported for the exit.
+   * @returns {boolean} - False if the thread has exited.
+   */
+  kill(signal = "SIGTERM") {
+    if (!this.connected) return false;
+    this.killed = true;
+    this.signalCode = signal;
+    this.#worker.terminate();
+    return true;
+  }
+
+  /**
+   * Retrieves the resource usage of the thread: the CPU usage is its event loop utilization since
+   * the last call, the memory usage is the size of its heap as reported by the worker runtime.
+   * @returns {Promise<Object>} - `{ cpu, memory, elapsed, timestamp }` like the stats of `pidusage`.
+   */
+  getUsage() {
+    const { performance } = this.#worker;
+    const { utilization } = performance.eventLoopUtilization(this.#eventLoopUtilization); // since the thread started on the first call
+    this.#eventLoopUtilization = performance.eventLoopUtilization();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.#statsListeners.delete(listener);
+        reject(new Error(`Worker thread ${this.pid} did not answer the stats request within ${STATS_TIMEOUT_MS} ms`));
+      }, STATS_TIMEOUT_MS);
+      timer.unref();
+      const listener = ({ heapUsed }) => {
+        clearTimeout(timer);
+        this.#statsListeners.delete(listener);
+        const timestamp = Date.now();
+        resolve({ cpu: utilization * 100, memory: heapUsed, elapsed: timestamp - this.#startedAt, timestamp });
+      };
+      this.#statsListeners.add(listener);
+      this.send({ type: WORKER_MESSAGE_TYPES.STATS });
+    });
+  }
+}
+
+module.exports = { ThreadWorker };
@@ -0,0 +1,97 @@
+const Ajv = require("ajv"); // JSON schema validator
+const { ERROR_CODES } = require("./errors"); // Error codes reported to HTTP clients
+const { PROCESS_SETTINGS_PROPERTIES, POOL_CONFIG_SCHEMA, SCHEDULE_SCHEMA } = require("./configSchema"); // Pool settings and schedules accepted by the admin routes
+
+const ajv = new Ajv({ allErrors: true });
+
+// Options shared by all requests that submit a pool task
+const POOL_TASK_PROPERTIES = {
+  poolName: { type: "string", minLength: 1 },
+  workerTask: { type: "object" },
+  taskTimeout: { type: "integer", minimum: 0 },
+  priority: { type: "integer" },
+  tenant: { type: "string", minLength: 1 },
+  affinityKey: { type: "string", minLength: 1 },
+};
+
+// Body of `/example/pool` and `/example/pool/stream`
+const POOL_TASK_SCHEMA = {
+  type: "object",
+  properties: POOL_TASK_PROPERTIES,
+  required: ["poolName", "workerTask"],
+  additionalProperties: false,
+};
+
+// Body of `POST /jobs`
+const JOB_SCHEMA = {
+  type: "object",
+  properties: {
+    ...POOL_TASK_PROPERTIES,
+    callbackUrl: { type: "string", minLength: 1 },
+  },
+  required: ["poolName", "workerTask"],
+  additionalProperties: false,
+};
+
+// Body of `/example/oneShot`, the script is one of the scripts registered in `oneShotConfig.scripts`
+const ONE_SHOT_TASK_SCHEMA = {
+  type: "object",
+  properties: {
+    scriptId: { type: "string", minLength: 1 },
+    workerTask: { type: "object" },
+    workerMemoryLimit: { type: "integer", minimum: 64 },
+    taskTimeout: { type: "integer", minimum: 0 },
+  },
+  required: ["scriptId", "workerTask"],
+  additionalProperties: false,
+};
+
+// Body of `POST /admin/pools`: a pool config whose script is one of the scripts registered in `adminConfig.scripts`.
+// The script and its process settings come from the configuration, only the memory limit may be lowered.
+const ADMIN_POOL_SCHEMA = {
+  type: "object",
+  properties: {
+    ...Object.fromEntries(Object.entries(POOL_CONFIG_SCHEMA.properties)
+      .filter(([key]) => key !== "workerScript" && !Object.hasOwn(PROCESS_SETTINGS_PROPERTIES, key))),
+    scriptId: { type: "string", minLength: 1 },
+    workerMemoryLimit: { type: "integer", minimum: 64 },
+  },
+  required: ["poolName", "scriptId"],
+  additionalProperties: false,
+};
+
+// Body of `PATCH /admin/pools/:name`
+const ADMIN_POOL_UPDATE_SCHEMA = {
+  type: "object",
+  properties: {
+    workerCount: { type: "integer", minimum: 0 },
+    reload: { type: "boolean" },
+  },
+  additionalProperties: false,
+};
+
+// Body of `POST /schedules`: a schedule like the entries of `schedules` in the configuration
+const ADMIN_SCHEDULE_SCHEMA = SCHEDULE_SCHEMA;
+
+/**
+ * Creates an Express middleware that validates the request body against a JSON schema.
+ * Invalid requests are answered with 400, `ERROR_CODES.INVALID_REQUEST` and the list of violations.
+ * @param {Object} schema - The JSON schema of the body.
+ * @returns {Function} - The middleware.
+ */
+function validateBody(schema) {
+  const validate = ajv.compile(schema);
+  return (req, res, next) => {
+    if (validate(req.body)) {
+      next();
+      return;
+    }
+    res.status(400).send({
+      error: `Invalid request body: ${ajv.errorsText(validate.errors, { dataVar: "body" })}`,
+      code: ERROR_CODES.INVALID_REQUEST,
+      details: validate.errors.map(({ instancePath, message, params }) => ({ path: instancePath || "/", message, params })),
+    });
+  };
+}
+
+module.exports = { POOL_TASK_SCHEMA, JOB_SCHEMA, ONE_SHOT_TASK_SCHEMA, ADMIN_POOL_SCHEMA, ADMIN_POOL_UPDATE_SCHEMA, ADMIN_SCHEDULE_SCHEMA, validateBody };
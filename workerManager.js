@@ -1,84 +1,774 @@
+const EventEmitter = require("events"); // Task and worker events are emitted for monitoring, e.g. by the metrics module
+const { isDeepStrictEqual } = require("util"); // Compares pool configs when the configuration is reloaded
 const { fork } = require("child_process"); // The 'child_process' module provides the ability to spawn subprocesses. The 'fork' method is a special case of 'spawn' that spawns a new instance of the V8 engine. 
+const path = require("path"); // Worker scripts are resolved against the manager's working directory, as workers may have their own
+const readline = require("readline"); // Splits the piped output of workers into lines
 const pidusage = require("pidusage"); // 'pidusage' is a library that provides information about the resource usage (CPU and memory) of a process based on its PID (Process ID). 
-const logger = require("./logger"); // Imports a custom logger module based on the 'winston' module
+const logger = require("./logger").child({ module: "workerManager" }); // Imports a custom logger module based on the 'winston' module
+const TaskQueue = require("./taskQueue"); // Priority queue with weighted round-robin across tenants
+const HashRing = require("./hashRing"); // Consistent hashing of affinity keys to workers
+const { setTimeout: delay } = require("timers/promises"); // Promise based timers, used to wait for deadlines during shutdown
 const { v4: uuidv4 } = require("uuid"); // The 'uuid' library is used to generate universally unique identifiers (UUIDs). Here, we're specifically using the v4 method, which produces random UUIDs.
+const { ERROR_CODES, WorkerPoolError, WorkerTaskError, TaskAbortedError, TaskTimeoutError, WorkerCrashedError } = require("./errors"); // Error codes and typed errors shared with the HTTP layer
+const { WORKER_MESSAGE_TYPES } = require("./workerProtocol"); // IPC message types shared with the worker runtime
+const { validatePoolConfig } = require("./configSchema"); // Schema of the worker pool configs
+const { ThreadWorker } = require("./threadWorker"); // Worker threads with the interface of child processes
+const { getDefaultPayloadDir, serializePayload, writePayloadFile, removePayloadFile } = require("./payloadFiles"); // Large task data is passed in files
 
-const WORKER_MESSAGE_TYPES = {
-  INIT: "init",
-  INIT_DONE: "initDone",
-  WORK_DONE: "workDone",
-  TERMINATE: "terminate",
-  ERROR: "error",
+// Interval of the memory checks for pools with `recycleAtMemoryMB`
+const MEMORY_CHECK_INTERVAL_MS = 5000;
+
+// Exited workers per pool whose output is kept for `getWorkerOutput`
+const EXITED_WORKER_OUTPUTS = 10;
+
+// Interval of the idle worker checks for autoscaling pools
+const AUTOSCALE_CHECK_INTERVAL_MS = 1000;
+
+// Lifecycle states of pool workers, only ready workers receive tasks
+const WORKER_STATES = {
+  SPAWNING: "spawning", // waiting for `initDone`
+  READY: "ready", // has a free task slot
+  BUSY: "busy", // runs `maxActiveTasksPerWorker` tasks
+  DRAINING: "draining", // finishes its running tasks, then terminates
+  DEAD: "dead", // has exited
+};
+
+// Defaults for optional worker pool settings
+const POOL_DEFAULTS = {
+  workerMemoryLimit: 4096,
+  initTimeoutMs: 30000, // time for a worker to report `initDone` before it is killed and replaced
+  maxActiveTasksPerWorker: 1,
+  maxQueueLength: 1000,
+  taskTimeout: 0, // no timeout
+  maxRetries: 0, // re-queue attempts for tasks of a crashed worker
+  restartBackoffMs: 1000, // delay of the second restart within the crash loop window, doubled for every further crash
+  maxRestartBackoffMs: 30000,
+  crashLoopThreshold: 5, // crashes within the window that open the circuit breaker
+  crashLoopWindowMs: 60000,
+  crashLoopCooldownMs: 60000, // time until a pool with an open circuit breaker restarts its workers
+  maxTasksPerWorker: 0, // tasks after which a worker is recycled, 0 = unlimited
+  recycleAtMemoryMB: 0, // memory usage at which a worker is recycled, 0 = unlimited
+  // Autoscaling is enabled by `maxWorkers`, `minWorkers` and `workerCount` default to each other
+  scaleUpQueueThreshold: 1, // queued tasks that trigger spawning another worker
+  idleTimeoutMs: 60000, // idle time after which workers above `minWorkers` are retired
+  // Process settings, shared with one-shot worker definitions, see `startWorker`
+  backend: "process", // "process" for child processes, "thread" for worker threads of the manager
+  inheritEnv: true, // true, false or the names of the parent's environment variables passed to the workers
+  stdio: "pipe", // "pipe" to log the workers' output, "inherit" or "ignore"
+  outputLines: 100, // last lines of a piped worker's output kept for crash reports and `getWorkerOutput`
+  serialization: "json", // IPC serialization, "advanced" keeps Buffers, typed arrays, Maps, Sets and Dates of tasks and results intact
+  payloadFileThreshold: 0, // serialized task data of at least this many bytes is passed in a file instead of the IPC channel, 0 = never
+  payloadDir: getDefaultPayloadDir(), // directory of the payload files, shared memory (/dev/shm) where available
+};
+
+// `stdio` settings of worker processes, the IPC channel is always added
+const STDIO_SETTINGS = {
+  inherit: ["inherit", "inherit", "inherit", "ipc"],
+  ignore: ["ignore", "ignore", "ignore", "ipc"],
+  pipe: ["ignore", "pipe", "pipe", "ipc"],
 };
 
-class WorkerPool {
+// Pool settings that are applied when a worker starts, changing them replaces the workers
+const WORKER_SETTINGS = [
+  "workerScript", "workerMemoryLimit", "backend", "env", "inheritEnv", "cwd", "execArgv", "args", "uid", "gid",
+  "stdio", "outputLines", "serialization", "payloadFileThreshold", "payloadDir", "permissions",
+];
+
+// Node's permission model flag, renamed from `--experimental-permission` in newer versions
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has("--permission") ? "--permission" : "--experimental-permission";
+
+// Files every worker reads, allowed in addition to `permissions.allowFsRead`
+const WORKER_RUNTIME_FILES = ["workerRuntime.js", "workerProtocol.js", "payloadFiles.js"].map((file) => path.join(__dirname, file));
+
+/**
+ * Manages worker pools and one-shot workers.
+ *
+ * Emits `taskDone` with `{ poolName, ok, code, queuedMs, runMs }` whenever a pool task is answered,
+ * and `workerRestart` with `{ poolName, reason }` whenever a pool worker is replaced.
+ */
+class WorkerPool extends EventEmitter {
 
   #workerPools = new Map();
+  #poolConfigs = new Map();
   #workerSet = new Set();
-  #pendingTasks = [];
+  #oneShotWorkers = new Set();
+  #maxOneShotWorkers = Infinity; // concurrent one-shot worker processes, see `setOneShotWorkerLimit`
+  #pendingTasks = new Map();
   #taskCallbacks = new Map();
+  #runningTasks = new Map(); // task id -> worker executing the task
+  #taskTimers = new Map(); // task id -> timeout handle of the running task
+  #progressListeners = new Map(); // task id -> onProgress listener of the running task
+  #payloadFiles = new Map(); // task id -> handle of the payload file of the running task
+  #poolStates = new Map(); // pool name -> runtime state: crash history, circuit breaker, removal
+  #configuredPools = new Set(); // names of the pools created by `initWorkerPools` or `applyPoolConfigs`
+  #memoryCheckTimer = null;
+  #autoscaleTimer = null;
+  #shutdownPromise = null;
+  #taskStore = null; // optional persistence of pool tasks, see `taskStore.js`
 
   constructor() {
+    super();
+  }
 
+  /**
+   * Limits the number of one-shot workers that may run at once. Further one-shot tasks are rejected
+   * with `ERROR_CODES.ONE_SHOT_LIMIT_REACHED` until a one-shot worker has exited.
+   * @param {number} maxConcurrentWorkers - The maximum number of one-shot workers, Infinity for no limit.
+   */
+  setOneShotWorkerLimit(maxConcurrentWorkers) {
+    this.#maxOneShotWorkers = maxConcurrentWorkers;
   }
 
-  initWorkerPools(workerPoolConfig) {
-    if (!workerPoolConfig) {
-      return false;
+  /**
+   * Persists pool tasks in a task store, so that unfinished tasks are replayed by `initWorkerPools`
+   * after a restart and results can be fetched with `getTaskResult`. Must be set before `initWorkerPools`.
+   * @param {TaskStore} taskStore - The store, e.g. a `FileTaskStore`.
+   */
+  setTaskStore(taskStore) {
+    this.#taskStore = taskStore;
+  }
+
+  /**
+   * Creates the configured worker pools, replays the unfinished tasks of the task store and waits until the pools are ready.
+   * No pool is created if one of the configs is invalid.
+   * @param {Object[]} workerPoolConfig - The pool configs.
+   * @returns {Promise<boolean>} - Resolves with true once every pool has its minimum number of ready workers,
+   *   with false if a pool became unavailable before.
+   * @throws {WorkerPoolError} - With `ERROR_CODES.INVALID_POOL_CONFIG` if a pool config is invalid, its pool exists
+   *   or its workers cannot be started.
+   */
+  async initWorkerPools(workerPoolConfig) {
+    const errors = this.#validatePoolConfigs(workerPoolConfig);
+    if (errors.length) {
+      throw new WorkerPoolError(`Invalid worker pool configs: ${errors.join("; ")}`, ERROR_CODES.INVALID_POOL_CONFIG);
+    }
+    const pools = [];
+    for (const config of workerPoolConfig) {
+      const added = this.addPool(config);
+      if (!added.ok) {
+        throw new WorkerPoolError(added.message, added.code);
+      }
+      this.#configuredPools.add(config.poolName);
+      pools.push(this.waitForPoolReady(config.poolName));
+    }
+    if (this.#taskStore) {
+      await this.#replayTasks();
+    }
+
+    let allReady = true;
+    for (const res of await Promise.all(pools)) {
+      if (!res.ok) {
+        logger.error(res.message);
+        allReady = false;
+      }
+    }
+    return allReady;
+  }
+
+  /**
+   * Waits until a pool has its minimum number of ready workers (`minWorkers`, or `workerCount` if the pool does not autoscale).
+   * @param {string} poolName - Name of the worker pool.
+   * @returns {Promise<Object>} - Resolves with `{ ok: true }` once the pool is ready, or with `{ ok: false, code, message }`
+   *   if the pool does not exist, is removed, opens its circuit breaker or the manager shuts down before.
+   */
+  waitForPoolReady(poolName) {
+    const res = this.#checkPoolAvailable(poolName);
+    if (!res.ok) {
+      return Promise.resolve(res);
+    }
+    return new Promise((resolve) => {
+      const waiters = this.#poolStates.get(poolName).readyWaiters;
+      const check = () => {
+        const result = this.#getPoolReadiness(poolName);
+        if (result) {
+          waiters.delete(check);
+          resolve(result);
+        }
+      };
+      waiters.add(check);
+      check();
+    });
+  }
+
+  /**
+   * Creates a worker pool and spawns its workers.
+   * @param {Object} config - The pool config, see `POOL_DEFAULTS` for optional settings.
+   * @returns {Object} - `{ ok: true }` if the pool was created, otherwise `{ ok: false, code, message }`.
+   */
+  addPool(config) {
+    let res = { ok: true };
+
+    if (this.#shutdownPromise) {
+      return this.#createShutdownResult();
+    }
+    const errors = validatePoolConfig(config);
+    if (errors.length) {
+      res.ok = false;
+      res.code = ERROR_CODES.INVALID_POOL_CONFIG;
+      res.message = `Invalid worker pool config: ${errors.join("; ")}`;
+      return res;
+    }
+    if (this.#poolConfigs.has(config.poolName)) {
+      res.ok = false;
+      res.code = ERROR_CODES.POOL_EXISTS;
+      res.message = `Worker pool ${config.poolName} already exists`;
+      return res;
+    }
+
+    const poolConfig = createWorkerSettings(config);
+    this.#poolConfigs.set(poolConfig.poolName, poolConfig);
+    this.#workerPools.set(poolConfig.poolName, new Set());
+    this.#pendingTasks.set(poolConfig.poolName, new TaskQueue(poolConfig.tenantWeights));
+    this.#poolStates.set(poolConfig.poolName, {
+      crashes: [],
+      circuitOpen: false,
+      restartsOnHold: 0,
+      closing: false,
+      readyWaiters: new Set(),
+      exitedWorkers: new Map(), // pid -> output of the last exited workers
+      hashRing: new HashRing(), // active workers by pid, for tasks with an affinity key
+      generation: 0, // incremented by `reloadPool`, workers of older generations are replaced
+      reloadReplacement: null, // worker spawned by a reload that waits for `initDone` to replace an outdated worker
+    });
+    try {
+      for (let i = 0; i < poolConfig.workerCount; i++) {
+        this.#spawnPoolWorker(poolConfig.workerScript, poolConfig.poolName, poolConfig.workerMemoryLimit);
+      }
+    } catch (err) {
+      this.#discardPool(poolConfig.poolName);
+      res.ok = false;
+      res.code = ERROR_CODES.INVALID_POOL_CONFIG;
+      res.message = `Workers of worker pool ${poolConfig.poolName} could not be started: ${err.message}`;
+      return res;
+    }
+    this.#startPoolChecks(poolConfig);
+    logger.info(`Worker pool ${poolConfig.poolName} created with ${poolConfig.workerCount} workers`);
+    return res;
+  }
+
+  /**
+   * Undoes `addPool` after its workers could not be started, so that the pool can be added again with a corrected config.
+   * The workers that were started are killed without being handled as crashed.
+   * @param {string} poolName - Name of the worker pool.
+   */
+  #discardPool(poolName) {
+    for (const worker of this.#workerPools.get(poolName)) {
+      clearTimeout(worker.initTimer);
+      worker.removeAllListeners();
+      worker.on("error", () => {});
+      worker.kill("SIGKILL");
+      this.#workerSet.delete(worker);
+    }
+    this.#workerPools.delete(poolName);
+    this.#poolConfigs.delete(poolName);
+    this.#pendingTasks.delete(poolName);
+    this.#poolStates.delete(poolName);
+  }
+
+  /**
+   * Brings the pools created from the configuration in line with changed pool configs, e.g. after the
+   * configuration file was edited. New pools are created, pools that are no longer configured are removed
+   * once their tasks are finished. Pools whose worker settings (`WORKER_SETTINGS`) changed are reloaded,
+   * other changes like `workerCount` or `taskTimeout` are applied to the running workers. Pools created
+   * with `addPool` are left alone. Nothing is changed if one of the configs is invalid.
+   * @param {Object[]} workerPoolConfig - The pool configs.
+   * @returns {Object} - `{ ok: true, added, removed, reloaded, updated }` with the names of the changed pools,
+   *   otherwise `{ ok: false, code, message }`.
+   */
+  applyPoolConfigs(workerPoolConfig) {
+    if (this.#shutdownPromise) {
+      return this.#createShutdownResult();
+    }
+    const errors = this.#validatePoolConfigs(workerPoolConfig);
+    if (errors.length) {
+      return { ok: false, code: ERROR_CODES.INVALID_POOL_CONFIG, message: `Invalid worker pool configs: ${errors.join("; ")}` };
+    }
+
+    const res = { ok: true, added: [], removed: [], reloaded: [], updated: [] };
+    const poolNames = new Set(workerPoolConfig.map((config) => config.poolName));
+    for (const poolName of this.#configuredPools) {
+      if (poolNames.has(poolName) || !this.#poolConfigs.has(poolName) || this.#poolStates.get(poolName).closing) continue;
+      res.removed.push(poolName);
+      this.removePool(poolName).then((removed) => {
+        if (!removed.ok) logger.error(`Removing worker pool ${poolName} failed: ${removed.message}`);
+      });
     }
     for (const config of workerPoolConfig) {
-      if (!config.workerScript) {
-        logger.error(`missing workerScript in worker pool config`);
+      if (!this.#poolConfigs.has(config.poolName)) {
+        const added = this.addPool(config);
+        if (added.ok) {
+          res.added.push(config.poolName);
+        } else {
+          // Added again by the next reload
+          logger.error(added.message);
+        }
         continue;
       }
-      if (!config.poolName) {
-        logger.error(`missing poolName in worker pool config`);
+      const change = this.#updatePool(config);
+      if (change) {
+        res[change].push(config.poolName);
+      }
+    }
+    this.#configuredPools = poolNames;
+    return res;
+  }
+
+  /**
+   * Validates pool configs for `initWorkerPools` and `applyPoolConfigs`: their schema, unique names, and that
+   * no pool created with `addPool` or being removed has the same name.
+   * @param {Object[]} workerPoolConfig - The pool configs.
+   * @returns {string[]} - The violations.
+   */
+  #validatePoolConfigs(workerPoolConfig) {
+    if (!Array.isArray(workerPoolConfig)) {
+      return ["the worker pool configs must be an array"];
+    }
+    const errors = [];
+    const poolNames = new Set();
+    for (const config of workerPoolConfig) {
+      const configErrors = validatePoolConfig(config);
+      if (configErrors.length) {
+        errors.push(`${config?.poolName ?? "pool"}: ${configErrors.join(", ")}`);
         continue;
       }
-      for (let i = 0; i < config.workerCount; i++) {
-        this.#spawnPoolWorker(config.workerScript, config.poolName, config.workerMemoryLimit);
+      if (poolNames.has(config.poolName)) {
+        errors.push(`pool ${config.poolName} is configured twice`);
+      } else if (this.#poolConfigs.has(config.poolName) && !this.#configuredPools.has(config.poolName)) {
+        errors.push(`pool ${config.poolName} already exists and was not created from the configuration`);
+      } else if (this.#poolStates.get(config.poolName)?.closing) {
+        errors.push(`pool ${config.poolName} is being removed`);
+      }
+      poolNames.add(config.poolName);
+    }
+    return errors;
+  }
+
+  /**
+   * Applies a changed config to an existing pool, see `applyPoolConfigs`.
+   * @param {Object} config - The new pool config.
+   * @returns {string|null} - "reloaded" if the workers are replaced, "updated" if the running workers
+   *   take the new config, or null if the config has not changed.
+   */
+  #updatePool(config) {
+    const { poolName } = config;
+    const previous = this.#poolConfigs.get(poolName);
+    const poolConfig = createWorkerSettings(config);
+    const changed = [...new Set([...Object.keys(previous), ...Object.keys(poolConfig)])]
+      .filter((key) => !isDeepStrictEqual(previous[key], poolConfig[key]));
+    if (!changed.length) {
+      return null;
+    }
+
+    logger.info(`Worker pool ${poolName} changed: ${changed.join(", ")}`);
+    this.#poolConfigs.set(poolName, poolConfig);
+    this.#pendingTasks.get(poolName).setTenantWeights(poolConfig.tenantWeights);
+    this.#startPoolChecks(poolConfig);
+
+    const reload = changed.some((key) => WORKER_SETTINGS.includes(key));
+    if (reload) {
+      this.reloadPool(poolName);
+    }
+    if (changed.includes("workerCount")) {
+      this.resizePool(poolName, poolConfig.workerCount);
+    }
+    // `maxActiveTasksPerWorker` may have changed
+    for (const worker of this.#getActiveWorkers(poolName)) {
+      if (worker.state !== WORKER_STATES.SPAWNING) {
+        this.#updateWorkerState(worker);
+      }
+    }
+    this.#processPendingTasks(poolName);
+    return reload ? "reloaded" : "updated";
+  }
+
+  /**
+   * Starts the periodic memory and autoscaling checks if a pool needs them.
+   * @param {Object} poolConfig - The pool config.
+   */
+  #startPoolChecks(poolConfig) {
+    if (poolConfig.recycleAtMemoryMB && !this.#memoryCheckTimer) {
+      this.#memoryCheckTimer = setInterval(() => this.#checkWorkerMemory(), MEMORY_CHECK_INTERVAL_MS);
+      this.#memoryCheckTimer.unref();
+    }
+    if (poolConfig.maxWorkers && !this.#autoscaleTimer) {
+      this.#autoscaleTimer = setInterval(() => this.#retireIdleWorkers(), AUTOSCALE_CHECK_INTERVAL_MS);
+      this.#autoscaleTimer.unref();
+    }
+  }
+
+  /**
+   * Changes the number of workers of a pool. Surplus workers are drained, the least busy first.
+   * @param {string} poolName - Name of the worker pool.
+   * @param {number} workerCount - The new number of workers.
+   * @returns {Object} - `{ ok: true }` if the pool was resized, otherwise `{ ok: false, code, message }`.
+   */
+  resizePool(poolName, workerCount) {
+    const res = this.#checkPoolAvailable(poolName);
+    if (!res.ok) {
+      return res;
+    }
+    if (!Number.isInteger(workerCount) || workerCount < 0) {
+      return { ok: false, code: ERROR_CODES.INVALID_POOL_CONFIG, message: `Invalid worker count ${workerCount}` };
+    }
+    const config = this.#poolConfigs.get(poolName);
+    if (config.maxWorkers && (workerCount < config.minWorkers || workerCount > config.maxWorkers)) {
+      return { ok: false, code: ERROR_CODES.INVALID_POOL_CONFIG, message: `Worker count ${workerCount} is outside of minWorkers ${config.minWorkers} and maxWorkers ${config.maxWorkers}` };
+    }
+
+    config.workerCount = workerCount;
+    const workers = this.#getActiveWorkers(poolName).sort((a, b) => a.runningTasks - b.runningTasks);
+
+    for (let i = workers.length; i < workerCount; i++) {
+      this.#spawnPoolWorker(config.workerScript, poolName, config.workerMemoryLimit);
+    }
+    for (const worker of workers.slice(0, Math.max(workers.length - workerCount, 0))) {
+      this.#drainWorker(worker, "pool resized", { replace: false });
+    }
+    logger.info(`Worker pool ${poolName} resized from ${workers.length} to ${workerCount} workers`);
+    return res;
+  }
+
+  /**
+   * Replaces all workers of a pool, e.g. after its worker script changed. The workers are replaced one
+   * at a time: an outdated worker is drained once its replacement has reported `initDone`, and terminates
+   * after finishing its running tasks, so the pool keeps its ready workers and no task is dropped.
+   * If a replacement exits before it is ready, the reload stops and the outdated workers keep running.
+   * @param {string} poolName - Name of the worker pool.
+   * @returns {Object} - `{ ok: true }` if the pool is reloading, otherwise `{ ok: false, code, message }`.
+   */
+  reloadPool(poolName) {
+    const res = this.#checkPoolAvailable(poolName);
+    if (!res.ok) {
+      return res;
+    }
+    this.#poolStates.get(poolName).generation++;
+    this.#continueReload(poolName);
+    return res;
+  }
+
+  /**
+   * Spawns the replacement of the next outdated worker of a reloading pool, unless a replacement is still initializing.
+   * @param {string} poolName - Name of the worker pool.
+   */
+  #continueReload(poolName) {
+    const state = this.#poolStates.get(poolName);
+    if (!state || state.closing || state.reloadReplacement) return;
+
+    const outdated = this.#getActiveWorkers(poolName)
+      .filter((worker) => worker.generation !== state.generation)
+      .sort((a, b) => a.runningTasks - b.runningTasks);
+    if (!outdated.length) return;
+
+    const config = this.#poolConfigs.get(poolName);
+    const replacement = this.#spawnPoolWorker(config.workerScript, poolName, config.workerMemoryLimit);
+    replacement.replaces = outdated[0];
+    state.reloadReplacement = replacement;
+    this.emit("workerRestart", { poolName, reason: "recycle" });
+    replacement.logger.info(`Worker ${replacement.pid} of pool ${poolName} replaces worker ${outdated[0].pid}, ${outdated.length} outdated workers left`);
+  }
+
+  /**
+   * Removes a worker pool. New tasks are rejected right away.
+   * With `drain`, queued and running tasks are finished first, otherwise they fail and the workers are killed.
+   * @param {string} poolName - Name of the worker pool.
+   * @param {Object} [options]
+   * @param {boolean} [options.drain=true] - Finish queued and running tasks before terminating the workers.
+   * @returns {Promise<Object>} - Resolves with `{ ok: true }` once all workers have exited, otherwise with `{ ok: false, code, message }`.
+   */
+  async removePool(poolName, { drain = true } = {}) {
+    const res = this.#checkPoolAvailable(poolName);
+    if (!res.ok) {
+      return res;
+    }
+
+    logger.info(`Removing worker pool ${poolName}${drain ? " after draining it" : ""}`);
+    this.#poolStates.get(poolName).closing = true;
+    this.#notifyReadyWaiters(poolName);
+    const workers = [...this.#workerPools.get(poolName)];
+    const exited = Promise.all(workers.map((worker) => this.#waitForExit(worker)));
+
+    if (drain) {
+      this.#processPendingTasks(poolName);
+    } else {
+      const error = this.#createClosedPoolError(poolName);
+      this.#failPendingTasks(poolName, error);
+      for (const worker of workers) {
+        for (const taskId of [...worker.activeTasks.keys()]) {
+          this.#finishTask(taskId);
+          this.#failTask(taskId, error);
+        }
+        worker.kill();
       }
     }
+
+    await exited;
+    this.#workerPools.delete(poolName);
+    this.#poolConfigs.delete(poolName);
+    this.#pendingTasks.delete(poolName);
+    this.#poolStates.delete(poolName);
+    logger.info(`Worker pool ${poolName} removed`);
+    return res;
   }
 
 
   /**
    * Adds a task to the queue for processing by worker processes.
+   * The task is rejected with `ERROR_CODES.QUEUE_FULL` if the pool's queue has reached `maxQueueLength`.
    * @param {Object} task - The task to be added.
    * @param {Function} callback - The function to call once the task is processed.
    * @param {string} poolName - The worker pool that should execute the task.
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Maximum run time in milliseconds, overrides the pool's `taskTimeout`.
+   * @param {number} [options.priority=0] - Tasks with a higher priority are dispatched first.
+   * @param {string} [options.tenant] - Tenant or group of the task, tenants are served by weighted round-robin (`tenantWeights`).
+   * @param {string} [options.affinityKey] - Tasks with the same key are dispatched to the same worker while it has a free slot.
+   * @param {Function} [options.onProgress] - Called with the `progress` and `chunk` messages the worker sends for the task.
+   * @returns {Object} - `{ ok: true, taskId }` if the task was queued, otherwise `{ ok: false, code, message }`.
    */
-  executePoolWorkerTask(task, callback, poolName) {
-    let res = { ok: true };
+  executePoolWorkerTask(task, callback, poolName, options = {}) {
+    task.id = uuidv4();
+    return this.#queuePoolTask(task, callback, poolName, options, { replayed: false });
+  }
+
+  /**
+   * Retrieves a task from the task store, e.g. one replayed after a restart.
+   * @param {string} taskId - The id of the task.
+   * @returns {Promise<Object|null>} - `{ id, poolName, status, enqueuedAt, finishedAt, result, error }`,
+   *   or null if the task is unknown or no task store is set.
+   */
+  async getTaskResult(taskId) {
+    return this.#taskStore ? this.#taskStore.getTask(taskId) : null;
+  }
+
+  /**
+   * Retrieves the state of a pool task that is queued or running.
+   * @param {string} taskId - The id of the task.
+   * @returns {Object|null} - `{ status: "queued", poolName, position }` with the number of tasks dispatched before it,
+   *   `{ status: "running", poolName }`, or null if the task is neither queued nor running.
+   */
+  getTaskStatus(taskId) {
+    const worker = this.#runningTasks.get(taskId);
+    if (worker?.poolName && this.#taskCallbacks.has(taskId)) {
+      return { status: "running", poolName: worker.poolName };
+    }
+    for (const [poolName, queue] of this.#pendingTasks) {
+      const position = queue.position(taskId);
+      if (position !== -1) {
+        return { status: "queued", poolName, position };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Cancels a queued or running pool task. Its callback is called with a `TaskAbortedError`;
+   * a running task's worker receives a `cancel` message.
+   * @param {string} taskId - The id of the task.
+   * @returns {boolean} - False if the task is neither queued nor running.
+   */
+  cancelTask(taskId) {
+    for (const queue of this.#pendingTasks.values()) {
+      const entry = queue.remove(taskId);
+      if (entry) {
+        entry.callback(this.#createErrorMessage(taskId, new TaskAbortedError(taskId)));
+        return true;
+      }
+    }
+
+    const worker = this.#runningTasks.get(taskId);
+    if (!worker?.poolName || !this.#taskCallbacks.has(taskId)) {
+      return false;
+    }
+    worker.send({ type: WORKER_MESSAGE_TYPES.CANCEL, id: taskId });
+    this.#failTask(taskId, new TaskAbortedError(taskId));
+    return true;
+  }
+
+  /**
+   * Queues a pool task, see `executePoolWorkerTask`.
+   * @param {Object} task - The task, with its id.
+   * @param {Function} callback - The function to call once the task is processed.
+   * @param {string} poolName - The worker pool that should execute the task.
+   * @param {Object} options - The options of `executePoolWorkerTask`.
+   * @param {Object} replay
+   * @param {boolean} replay.replayed - The task is replayed from the task store and already recorded there.
+   * @returns {Object} - `{ ok: true, taskId }` if the task was queued, otherwise `{ ok: false, code, message }`.
+   */
+  #queuePoolTask(task, callback, poolName, { timeout, priority = 0, tenant, affinityKey, onProgress }, { replayed }) {
+    let res = { ok: true, taskId: task.id };
+
+    if (this.#shutdownPromise) {
+      return this.#createShutdownResult();
+    }
 
     let pool = this.#workerPools.get(poolName)
     if (!pool) {
       res.ok = false;
+      res.code = ERROR_CODES.POOL_NOT_FOUND;
       res.message = `Worker pool ${poolName} does not exists`;
       return res;
     }
 
-    task.id = uuidv4();
-    task.type = "work";
+    if (this.#poolStates.get(poolName).circuitOpen) {
+      res.ok = false;
+      res.code = ERROR_CODES.POOL_UNAVAILABLE;
+      res.message = `Worker pool ${poolName} is unavailable after repeated worker crashes`;
+      return res;
+    }
+    if (this.#poolStates.get(poolName).closing) {
+      res.ok = false;
+      res.code = ERROR_CODES.POOL_UNAVAILABLE;
+      res.message = `Worker pool ${poolName} is being removed`;
+      return res;
+    }
+
+    const queue = this.#pendingTasks.get(poolName);
+    if (queue.length >= this.#poolConfigs.get(poolName).maxQueueLength) {
+      res.ok = false;
+      res.code = ERROR_CODES.QUEUE_FULL;
+      res.message = `Task queue of worker pool ${poolName} is full`;
+      return res;
+    }
+
+    task.type = WORKER_MESSAGE_TYPES.WORK;
     task.poolName = poolName;
-    this.#pendingTasks.push({ task, callback });
-    this.#processNextTask();
+    const entry = { task, priority, tenant, affinityKey, onProgress, timeout: timeout ?? this.#poolConfigs.get(poolName).taskTimeout, enqueuedAt: Date.now(), startedAt: null };
+    entry.callback = (message) => {
+      this.#emitTaskDone(entry, message);
+      this.#recordTaskResult(task.id, message);
+      callback(message);
+    };
+    if (!replayed) {
+      const { serialization } = this.#poolConfigs.get(poolName);
+      this.#recordTask("recordEnqueue", { id: task.id, poolName, data: task.data, priority, tenant, affinityKey, timeout, enqueuedAt: entry.enqueuedAt, serialization });
+    }
+    queue.push(entry);
+    this.#processPendingTasks(poolName);
+    this.#scaleUp(poolName);
     return res;
   }
 
 
+  /**
+   * Executes a task in a worker pool and returns a Promise for its result.
+   * @param {string} poolName - The worker pool that should execute the task.
+   * @param {*} data - The task data passed to the worker.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the task when aborted.
+   * @param {number} [options.timeout] - Maximum run time in milliseconds, overrides the pool's `taskTimeout`.
+   * @param {number} [options.priority=0] - Tasks with a higher priority are dispatched first.
+   * @param {string} [options.tenant] - Tenant or group of the task.
+   * @param {string} [options.affinityKey] - Tasks with the same key are dispatched to the same worker while it has a free slot.
+   * @param {Function} [options.onProgress] - Called with the `progress` and `chunk` messages the worker sends for the task.
+   * @returns {Promise<*>} - Resolves with the `data` of the worker's `workDone` message.
+   */
+  runTask(poolName, data, { signal, timeout, priority, tenant, affinityKey, onProgress } = {}) {
+    return this.#runTaskAsPromise({ data }, signal, (task, callback) =>
+      this.executePoolWorkerTask(task, callback, poolName, { timeout, priority, tenant, affinityKey, onProgress }),
+    );
+  }
+
+  /**
+   * Executes a task in a one-shot-worker and returns a Promise for its result.
+   * @param {string} workerScript - Path to the worker's JavaScript file.
+   * @param {*} data - The task data passed to the worker.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the task when aborted.
+   * @param {number} [options.timeout] - Time in milliseconds after which the worker is killed.
+   * @param {number} [options.memoryLimit] - Memory limit of the worker (--max-old-space-size).
+   * @param {Function} [options.onProgress] - Called with the `progress` and `chunk` messages the worker sends for the task.
+   * @param {Object} [options.processOptions] - Process settings like those of a pool (`env`, `cwd`, `execArgv`, ...).
+   * @returns {Promise<*>} - Resolves with the `data` of the worker's `workDone` message.
+   */
+  runOneShot(workerScript, data, { signal, timeout, memoryLimit, onProgress, processOptions } = {}) {
+    return this.#runTaskAsPromise({ data }, signal, (task, callback) =>
+      this.executeOneShotWorkerTask(workerScript, task, callback, memoryLimit, timeout, onProgress, processOptions),
+    );
+  }
+
   /**
   * Executes a task in a one-shot-worker. After the tasks is finished, the worker will terminate.
+  * The task is sent once the worker has answered `init` with `initDone`. If the worker does not initialize
+  * and finish the task within `timeout` milliseconds, the worker is killed and the task fails.
   * @param {Object} task - The task to be added.
   * @param {Function} callback - The function to call once the task is processed.
+  * @param {number} memoryLimit - Memory limit of the worker (--max-old-space-size).
+  * @param {number} timeout - Maximum run time in milliseconds (0 = no timeout).
+  * @param {Function} onProgress - Called with the `progress` and `chunk` messages the worker sends for the task (optional).
+  * @param {Object} processOptions - Process settings like those of a pool: `env`, `inheritEnv`, `cwd`, `execArgv`, `args`,
+  *   `uid`, `gid`, `stdio` and `permissions` (optional).
+  * @returns {Object} - `{ ok: true }` if the worker was started, otherwise `{ ok: false, code, message }`.
   */
-  executeOneShotWorkerTask(workerScript, task, callback, memoryLimit = 4096) {
-    let worker = this.#spawnOneShotWorker(workerScript, memoryLimit);
+  executeOneShotWorkerTask(workerScript, task, callback, memoryLimit = 4096, timeout = 0, onProgress = null, processOptions = {}) {
+    if (this.#shutdownPromise) {
+      return this.#createShutdownResult();
+    }
+    if (this.#oneShotWorkers.size >= this.#maxOneShotWorkers) {
+      return { ok: false, code: ERROR_CODES.ONE_SHOT_LIMIT_REACHED, message: `${this.#oneShotWorkers.size} one-shot workers are already running` };
+    }
+    let worker = this.#spawnOneShotWorker(workerScript, memoryLimit, processOptions);
 
     task.id = uuidv4();
-    task.type = "work";
+    task.type = WORKER_MESSAGE_TYPES.WORK;
+    worker.taskId = task.id;
+    worker.task = task; // sent on `initDone`
     this.#taskCallbacks.set(task.id, callback);
-    worker.send(task);
+    this.#startTask(task, worker, timeout, onProgress);
+    return { ok: true };
+  }
+
+  /**
+   * Retrieves the state of all worker pools.
+   * @returns {Object[]} - Per pool: name, worker counts (all, not draining, initialized), the minimum number of initialized
+   *   workers and whether the pool has them (`ready`, as for `waitForPoolReady`), queue length, running tasks, circuit breaker
+   *   state and the pool's `taskTimeout`.
+   */
+  getPoolStats() {
+    return [...this.#poolConfigs].map(([poolName, config]) => {
+      const workers = [...this.#workerPools.get(poolName)];
+      const state = this.#poolStates.get(poolName);
+      return {
+        poolName,
+        workerCount: workers.length,
+        activeWorkerCount: this.#getActiveWorkers(poolName).length,
+        readyWorkerCount: this.#getReadyWorkerCount(poolName),
+        minReadyWorkers: config.minWorkers ?? config.workerCount,
+        ready: this.#getPoolReadiness(poolName)?.ok === true,
+        queueLength: this.#pendingTasks.get(poolName).length,
+        runningTasks: workers.reduce((sum, worker) => sum + worker.runningTasks, 0),
+        circuitOpen: state.circuitOpen,
+        closing: state.closing,
+        taskTimeout: config.taskTimeout,
+      };
+    });
+  }
+
+  /**
+   * Retrieves the state of a worker pool with all its workers, e.g. to inspect a stuck pool.
+   * @param {string} poolName - Name of the worker pool.
+   * @returns {Promise<Object|null>} - The pool's entry of `getPoolStats` with `workers`: per worker its pid, backend, state,
+   *   running tasks (`tasks` with `taskId` and `startedAt`), number of received tasks, `idleSince` and the CPU and memory
+   *   `stats` of `getWorkerStats`, null if they could not be measured. Null if the pool does not exist.
+   */
+  async getPoolInfo(poolName) {
+    if (!this.#poolConfigs.has(poolName)) return null;
+    const { workers: workerStats } = await this.getWorkerStats(poolName);
+    // The pool may have been removed while its workers were measured
+    const pool = this.getPoolStats().find((pool) => pool.poolName === poolName);
+    if (!pool) return null;
+
+    const stats = new Map(workerStats.map((worker) => [worker.pid, worker.stats]));
+    pool.workers = [...this.#workerPools.get(poolName)].map((worker) => ({
+      pid: worker.pid,
+      backend: worker instanceof ThreadWorker ? "thread" : "process",
+      state: worker.state,
+      runningTasks: worker.runningTasks,
+      tasks: [...worker.activeTasks.values()].map((entry) => ({ taskId: entry.task.id, startedAt: entry.startedAt })),
+      taskCount: worker.taskCount,
+      idleSince: worker.idleSince,
+      stats: stats.get(worker.pid) ?? null,
+    }));
+    return pool;
   }
 
   /**
@@ -88,13 +778,15 @@ class WorkerPool {
    */
   async getWorkerStats(poolName = null) {
     // Get workers from the specified pool, or all workers if no poolName is specified.
-    const targetWorkers = poolName ? this.#workerPools.get(poolName) : this.#workerSet;
+    const targetWorkers = poolName ? this.#workerPools.get(poolName) || [] : this.#workerSet;
 
     const workers = await Promise.all(
       [...targetWorkers].map(async (worker) => {
         try {
-          const stats = await pidusage(worker.pid);
-          return { poolName: worker.poolName, pid: worker.pid, runningTasks: worker.runningTasks, stats };
+          // Threads share the manager's process, their usage is measured by the thread itself
+          const stats = worker instanceof ThreadWorker ? await worker.getUsage() : await pidusage(worker.pid);
+          const backend = worker instanceof ThreadWorker ? "thread" : "process";
+          return { poolName: worker.poolName, pid: worker.pid, backend, state: worker.state, runningTasks: worker.runningTasks, stats };
         } catch (err) {
           return null;
         }
@@ -104,6 +796,30 @@ class WorkerPool {
     return { workers: workers.filter(Boolean) };
   }
 
+  /**
+   * Retrieves the last output lines of a pool worker, or of one of the last exited workers of the pool.
+   * Only workers with the `stdio` setting "pipe" have output.
+   * @param {string} poolName - Name of the worker pool.
+   * @param {number} pid - Process id of the worker.
+   * @returns {Object} - `{ ok: true, poolName, pid, state, lines }` with `exitCode` and `signal` of an exited worker,
+   *   otherwise `{ ok: false, code, message }`.
+   */
+  getWorkerOutput(poolName, pid) {
+    const state = this.#poolStates.get(poolName);
+    if (!state) {
+      return { ok: false, code: ERROR_CODES.POOL_NOT_FOUND, message: `Worker pool ${poolName} does not exists` };
+    }
+    const worker = [...this.#workerPools.get(poolName)].find((worker) => worker.pid === pid);
+    if (worker) {
+      return { ok: true, poolName, pid, state: worker.state, lines: worker.outputLines };
+    }
+    const exited = state.exitedWorkers.get(pid);
+    if (exited) {
+      return { ok: true, poolName, pid, state: WORKER_STATES.DEAD, exitCode: exited.exitCode, signal: exited.signal, lines: exited.lines };
+    }
+    return { ok: false, code: ERROR_CODES.WORKER_NOT_FOUND, message: `Worker ${pid} of pool ${poolName} not found` };
+  }
+
   /**
    * Terminates all workers or a specific pool of workers.
    * @param {string} poolName - The pool of workers to terminate.
@@ -122,61 +838,215 @@ class WorkerPool {
     });
   }
 
+  /**
+   * Shuts the worker manager down. New tasks are rejected right away, queued and running tasks
+   * may finish within `drainTimeoutMs`. Afterwards the remaining tasks fail, the workers are
+   * asked to terminate and killed if they have not exited after `killTimeoutMs`.
+   * @param {Object} [options]
+   * @param {number} [options.drainTimeoutMs=30000] - Time for finishing queued and running tasks.
+   * @param {number} [options.killTimeoutMs=5000] - Time for the workers to exit before they are killed.
+   * @returns {Promise<void>} - Resolves once all workers have exited.
+   */
+  shutdown({ drainTimeoutMs = 30000, killTimeoutMs = 5000 } = {}) {
+    if (!this.#shutdownPromise) {
+      // Started once the promise is assigned, so that the pools' ready-waiters are told about the shutdown
+      this.#shutdownPromise = Promise.resolve().then(() => this.#shutdown(drainTimeoutMs, killTimeoutMs));
+    }
+    return this.#shutdownPromise;
+  }
+
+  /**
+   * Performs the shutdown, see `shutdown`.
+   * @param {number} drainTimeoutMs - Time for finishing queued and running tasks.
+   * @param {number} killTimeoutMs - Time for the workers to exit before they are killed.
+   */
+  async #shutdown(drainTimeoutMs, killTimeoutMs) {
+    logger.info(`Shutting down worker manager, draining tasks for up to ${drainTimeoutMs} ms`);
+    clearInterval(this.#memoryCheckTimer);
+    clearInterval(this.#autoscaleTimer);
+
+    // No workers are spawned from now on, so all workers that will ever exit are known
+    const workers = [...this.#workerSet, ...this.#oneShotWorkers];
+    const exited = Promise.all(workers.map((worker) => this.#waitForExit(worker)));
+    const isExited = (worker) => worker.exitCode !== null || worker.signalCode !== null;
+
+    // Closing pools terminate their workers once their queues are empty and their tasks finished
+    for (const [poolName, state] of this.#poolStates) {
+      state.closing = true;
+      this.#notifyReadyWaiters(poolName);
+      this.#processPendingTasks(poolName);
+    }
+
+    const drained = await Promise.race([exited.then(() => true), delay(drainTimeoutMs, false, { ref: false })]);
+    if (drained) {
+      await this.#closeTaskStore();
+      logger.info(`Worker manager shut down`);
+      return;
+    }
+
+    const error = this.#createClosedPoolError();
+    for (const poolName of this.#pendingTasks.keys()) {
+      this.#failPendingTasks(poolName, error);
+    }
+    for (const taskId of [...this.#runningTasks.keys()]) {
+      this.#finishTask(taskId);
+      this.#failTask(taskId, error);
+    }
+    logger.warn(`Drain timeout of ${drainTimeoutMs} ms expired, terminating remaining workers`);
+    for (const worker of workers) {
+      if (!isExited(worker) && worker.connected) {
+        worker.send({ type: WORKER_MESSAGE_TYPES.TERMINATE });
+      }
+    }
+
+    const terminated = await Promise.race([exited.then(() => true), delay(killTimeoutMs, false, { ref: false })]);
+    if (!terminated) {
+      for (const worker of workers) {
+        if (!isExited(worker)) {
+          logger.warn(`Worker ${worker.pid} did not exit within ${killTimeoutMs} ms, killing it`);
+          worker.kill("SIGKILL");
+        }
+      }
+      await exited;
+    }
+    await this.#closeTaskStore();
+    logger.info(`Worker manager shut down`);
+  }
+
+  /**
+   * Lets the task store write what it still buffers, if it supports `close`. Failures are logged.
+   */
+  async #closeTaskStore() {
+    try {
+      await this.#taskStore?.close?.();
+    } catch (err) {
+      logger.error(`Task store close failed: ${err.message}`);
+    }
+  }
+
   /**
    * Spawns pool worker processes.
+   * The worker receives tasks once it has answered `init` with `initDone`, and is killed if it does not
+   * within the pool's `initTimeoutMs`; it is then replaced like a crashed worker.
    * @param {string} workerJS_path - Path to the worker's JavaScript file.
    * @param {string} poolName - Name of the worker pool.
    * @param {string} memoryLimit - memory limit of the workers (--max-old-space-size)
+   * @returns {Object} - The worker.
    */
   #spawnPoolWorker(workerScript, poolName, memoryLimit = 4096) {
-    // Initialize the pool if not already present
-    if (!this.#workerPools.has(poolName)) {
-      this.#workerPools.set(poolName, new Set());
-    }
-
-    let execArgV = [];
-    execArgV.push('--expose-gc');
-    execArgV.push(`--max-old-space-size=${memoryLimit}`);
-    const worker = fork(workerScript, [], { execArgv: execArgV });
+    const config = this.#poolConfigs.get(poolName);
+    const worker = startWorker(workerScript, memoryLimit, config);
 
     worker.poolName = poolName;
+    worker.generation = this.#poolStates.get(poolName).generation;
     worker.memoryLimit = memoryLimit;
     worker.workerScript = workerScript;
     worker.runningTasks = 0;
+    worker.taskCount = 0; // tasks dispatched to this worker, for `maxTasksPerWorker`
+    worker.state = WORKER_STATES.SPAWNING;
+    worker.idleSince = Date.now();
+    worker.activeTasks = new Map(); // task id -> queue entry of the tasks running on this worker
+    worker.logger = logger.child({ poolName, pid: worker.pid });
+    this.#captureWorkerOutput(worker, `Worker ${worker.pid} of pool ${poolName}`, config.outputLines);
 
     worker.on("message", this.#processPoolWorkerMessage.bind(this, worker));
-    worker.on("exit", this.#managePoolWorkerExit.bind(this, worker, poolName));
+    worker.on("exit", this.#managePoolWorkerExit.bind(this, worker));
+    worker.on("error", (err) => worker.logger.error(`Worker ${worker.pid} of pool ${poolName} failed: ${err.stack}`));
+
+    const { initTimeoutMs } = config;
+    if (initTimeoutMs) {
+      worker.initTimer = setTimeout(() => {
+        if (worker.state !== WORKER_STATES.SPAWNING) return;
+        worker.logger.warn(`Worker ${worker.pid} of pool ${poolName} did not initialize within ${initTimeoutMs} ms, killing it`);
+        worker.killReason = "initTimeout";
+        worker.kill("SIGKILL");
+      }, initTimeoutMs);
+    }
 
     worker.send({ type: WORKER_MESSAGE_TYPES.INIT });
 
     this.#workerSet.add(worker);
     this.#workerPools.get(poolName).add(worker);
+    return worker;
   }
 
   /**
   * Spawns a one-shot worker processes.
   * @param {string} workerJS_path - Path to the worker's JavaScript file.
-  * @param {string} poolName - Name of the worker pool.
   * @param {string} memoryLimit - memory limit of the workers (--max-old-space-size)
+  * @param {Object} processOptions - Process settings like those of a pool, see `createForkOptions`.
   */
-  #spawnOneShotWorker(workerScript, memoryLimit = 4096) {
-    let execArgV = [];
-    execArgV.push('--expose-gc');
-    execArgV.push(`--max-old-space-size=${memoryLimit}`);
-    const worker = fork(workerScript, [], { execArgv: execArgV });
+  #spawnOneShotWorker(workerScript, memoryLimit = 4096, processOptions = {}) {
+    const settings = createWorkerSettings(processOptions);
+    const worker = startWorker(workerScript, memoryLimit, settings);
 
     worker.memoryLimit = memoryLimit;
     worker.workerScript = workerScript;
+    worker.settings = settings;
+    worker.logger = logger.child({ pid: worker.pid });
+    this.#captureWorkerOutput(worker, `OneShotWorker ${worker.pid}`, settings.outputLines);
 
     worker.on("message", this.#processOneShotWorkerMessage.bind(this, worker));
-    //worker.send({ type: WORKER_MESSAGE_TYPES.INIT });
-    logger.debug(`OneShotWorker pid ${worker.pid} spawned, script ${workerScript}`)
+    worker.on("error", (err) => worker.logger.error(`OneShotWorker ${worker.pid} failed: ${err.stack}`));
+    worker.on("exit", (code, signal) => {
+      this.#oneShotWorkers.delete(worker);
+      // Fail the task if the worker died before answering it
+      if (this.#finishTask(worker.taskId)) {
+        worker.logger.warn(`OneShotWorker pid ${worker.pid} exited with code ${code} and signal ${signal} before finishing its task`, { taskId: worker.taskId });
+        this.#failTask(worker.taskId, new WorkerCrashedError(worker.taskId, code, signal));
+      }
+      if (code !== 0) {
+        this.#reportCrash(worker, `OneShotWorker ${worker.pid}`, code, signal);
+      }
+    });
+    worker.send({ type: WORKER_MESSAGE_TYPES.INIT });
+    worker.logger.debug(`OneShotWorker pid ${worker.pid} spawned, script ${workerScript}`)
+    this.#oneShotWorkers.add(worker);
     return worker;
   }
 
   /**
-   * Processes messages received from worker processes.
-   * @param {Object} worker - The worker sending the message.
+   * Forwards the output of a worker whose `stdio` setting is "pipe" to the logger, line by line,
+   * with the pool, pid and task of the worker as metadata. The last lines are kept in `worker.outputLines`.
+   * @param {Object} worker - The worker process.
+   * @param {string} name - Name of the worker in the log.
+   * @param {number} maxLines - Number of lines to keep.
+   */
+  #captureWorkerOutput(worker, name, maxLines) {
+    worker.outputLines = []; // { time, stream, taskId, line }
+    for (const [stream, level] of [["stdout", "info"], ["stderr", "warn"]]) {
+      if (!worker[stream]) continue;
+      readline.createInterface({ input: worker[stream] }).on("line", (line) => {
+        // The task is only known while the worker runs a single task
+        const taskIds = worker.activeTasks ? [...worker.activeTasks.keys()] : [worker.taskId];
+        const taskId = taskIds.length === 1 ? taskIds[0] : undefined;
+        worker.outputLines.push({ time: Date.now(), stream, taskId, line });
+        if (worker.outputLines.length > maxLines) {
+          worker.outputLines.shift();
+        }
+        worker.logger[level](`${name} ${stream}${taskId ? ` (task ${taskId})` : ""}: ${line}`, { taskId, stream });
+      });
+    }
+  }
+
+  /**
+   * Logs the last output lines of a crashed worker, once its output streams are closed.
+   * @param {Object} worker - The exited worker.
+   * @param {string} name - Name of the worker in the log.
+   * @param {number} code - The exit code.
+   * @param {string} signal - The signal causing the exit.
+   */
+  #reportCrash(worker, name, code, signal) {
+    worker.once("close", () => {
+      if (!worker.outputLines.length) return;
+      const output = worker.outputLines.map(({ stream, line }) => `  [${stream}] ${line}`).join("\n");
+      worker.logger.error(`${name} exited with code ${code} and signal ${signal}, last output:\n${output}`);
+    });
+  }
+
+  /**
+   * Processes messages received from worker processes.
+   * @param {Object} worker - The worker sending the message.
    * @param {Object} message - The actual message content.
    */
   #processPoolWorkerMessage(worker, message) {
@@ -184,18 +1054,37 @@ class WorkerPool {
 
     switch (message.type) {
       case WORKER_MESSAGE_TYPES.INIT_DONE: {
-        logger.debug(`Worker initialized: poolName ${worker.poolName}, worker pid ${message.data.pid}, memoryLimit: ${worker.memoryLimit}, workerScript: ${worker.workerScript}`);
+        clearTimeout(worker.initTimer);
+        if (worker.state !== WORKER_STATES.SPAWNING) break; // drained before it was initialized
+        worker.logger.debug(`Worker initialized: poolName ${worker.poolName}, worker pid ${message.data.pid}, memoryLimit: ${worker.memoryLimit}, workerScript: ${worker.workerScript}`);
+        worker.state = WORKER_STATES.READY;
+        if (worker === this.#poolStates.get(worker.poolName).reloadReplacement) {
+          this.#completeReplacement(worker);
+        }
+        this.#notifyReadyWaiters(worker.poolName);
+        this.#processPendingTasks(worker.poolName);
+        break;
+      }
+      case WORKER_MESSAGE_TYPES.PROGRESS:
+      case WORKER_MESSAGE_TYPES.CHUNK: {
+        this.#notifyProgress(message);
         break;
       }
       case WORKER_MESSAGE_TYPES.WORK_DONE:
       case WORKER_MESSAGE_TYPES.ERROR: {
+        if (!this.#finishTask(message.id)) break; // the task has already failed, e.g. by timeout
         worker.runningTasks--;
+        if (worker.runningTasks === 0) {
+          worker.idleSince = Date.now();
+        }
+        this.#updateWorkerState(worker);
         const callback = this.#taskCallbacks.get(message.id);
         if (callback) {
           callback(message);
           this.#taskCallbacks.delete(message.id);
         }
-        this.#processNextTask();
+        this.#terminateIfDrained(worker);
+        this.#processPendingTasks(worker.poolName);
         break;
       }
     }
@@ -207,54 +1096,875 @@ class WorkerPool {
    * @param {Object} message - The actual message content.
    */
   #processOneShotWorkerMessage(worker, message) {
-    if (!message) return;
+    if (message?.type === WORKER_MESSAGE_TYPES.INIT_DONE) {
+      const { task } = worker;
+      worker.task = null;
+      if (!task || !this.#runningTasks.has(task.id)) return; // timed out while initializing, the worker is killed
+      if (this.#taskCallbacks.has(task.id)) {
+        this.#sendTask(worker, task, worker.settings);
+      } else {
+        // Cancelled while the worker initialized
+        this.#finishTask(task.id);
+        worker.send({ type: WORKER_MESSAGE_TYPES.TERMINATE });
+      }
+      return;
+    }
+    if (message?.type === WORKER_MESSAGE_TYPES.PROGRESS || message?.type === WORKER_MESSAGE_TYPES.CHUNK) {
+      this.#notifyProgress(message);
+      return;
+    }
+    if (!message || !this.#finishTask(message.id)) return;
     const callback = this.#taskCallbacks.get(message.id);
     if (callback) {
       callback(message);
       this.#taskCallbacks.delete(message.id);
-      worker.send({ type: WORKER_MESSAGE_TYPES.TERMINATE });
-      worker.on("exit", (exitCode) => logger.debug(`OneShotWorker pid ${worker.pid} exited with code ${exitCode}.`));
     }
+    // Terminate the worker even if the task was cancelled and has no callback anymore
+    worker.send({ type: WORKER_MESSAGE_TYPES.TERMINATE });
+    worker.on("exit", (exitCode) => worker.logger.debug(`OneShotWorker pid ${worker.pid} exited with code ${exitCode}.`));
   }
 
   /**
    * Manages the exit events of worker processes.
    * @param {Object} worker - The worker that has exited.
-   * @param {string} poolName - The pool the worker belongs to.
    * @param {number} code - The exit code.
    * @param {string} signal - The signal causing the exit.
    */
   #managePoolWorkerExit(worker, code, signal) {
-    logger.warn(
+    worker.logger.warn(
       `Worker ${worker.pid} exited with code ${code} and signal ${signal}`
     );
+    clearTimeout(worker.initTimer);
+    const draining = worker.state === WORKER_STATES.DRAINING;
+    worker.state = WORKER_STATES.DEAD;
     this.#workerSet.delete(worker);
     this.#workerPools.get(worker.poolName).delete(worker);
-
+    this.#keepExitedWorkerOutput(worker, code, signal);
     if (code !== 0) {
-      logger.warn(`Restarting worker ${worker.pid}...`);
-      this.spawnPoolWorker(worker.workerScript, worker.poolName, worker.workerMemoryLimit || 1);
+      this.#reportCrash(worker, `Worker ${worker.pid} of pool ${worker.poolName}`, code, signal);
     }
+    this.#recoverWorkerTasks(worker, code, signal);
+
+    const state = this.#poolStates.get(worker.poolName);
+    if (worker === state.reloadReplacement) {
+      // The new workers do not start, the outdated ones keep serving the pool
+      state.reloadReplacement = null;
+      if (!draining && !state.closing) {
+        worker.logger.error(`Reload of worker pool ${worker.poolName} stopped, replacement worker ${worker.pid} exited with code ${code} and signal ${signal} before it was ready`);
+      }
+    } else if (code !== 0 && !draining && !state.closing) {
+      // A draining worker has already been replaced, as has a worker whose replacement is being started
+      if (state.reloadReplacement?.replaces === worker) {
+        state.reloadReplacement.replaces = null;
+      } else {
+        this.#scheduleWorkerRestart(worker);
+      }
+    }
+    this.#processPendingTasks(worker.poolName);
   }
 
   /**
-   * Processes the next task in the queue, if available.
+   * Puts a reload's replacement worker into service once it is ready, drains the outdated worker it replaces
+   * and continues with the next outdated worker.
+   * @param {Object} replacement - The replacement worker.
    */
-  #processNextTask() {
-    if (!this.#pendingTasks.length) return;
+  #completeReplacement(replacement) {
+    const { poolName, replaces } = replacement;
+    this.#poolStates.get(poolName).reloadReplacement = null;
+    replacement.replaces = null;
+    if (replaces) {
+      this.#drainWorker(replaces, "pool reloaded", { replace: false });
+    }
+    this.#continueReload(poolName);
+  }
 
-    const { task, callback } = this.#pendingTasks.shift();
-    const workerPool = this.#workerPools.get(task.poolName) || this.#workerSet;
+  /**
+   * Keeps the output of an exited pool worker for `getWorkerOutput`, for the last `EXITED_WORKER_OUTPUTS` workers of its pool.
+   * @param {Object} worker - The exited worker.
+   * @param {number} code - The exit code.
+   * @param {string} signal - The signal causing the exit.
+   */
+  #keepExitedWorkerOutput(worker, code, signal) {
+    const { exitedWorkers } = this.#poolStates.get(worker.poolName);
+    // The array keeps receiving the lines that are still buffered in the output streams
+    exitedWorkers.set(worker.pid, { exitCode: code, signal, exitedAt: Date.now(), lines: worker.outputLines });
+    if (exitedWorkers.size > EXITED_WORKER_OUTPUTS) {
+      exitedWorkers.delete(exitedWorkers.keys().next().value);
+    }
+  }
 
-    const leastBusyWorker = [...workerPool].reduce((a, b) =>
-      a.runningTasks <= b.runningTasks ? a : b,
-    );
+  /**
+   * Re-queues the tasks of an exited worker until the pool's `maxRetries` are used up,
+   * afterwards the tasks fail with a `WorkerCrashedError`.
+   * @param {Object} worker - The worker that has exited.
+   * @param {number} code - The exit code.
+   * @param {string} signal - The signal causing the exit.
+   */
+  #recoverWorkerTasks(worker, code, signal) {
+    // Tasks of a pool that is being removed are not retried
+    const maxRetries = this.#poolStates.get(worker.poolName).closing ? 0 : this.#poolConfigs.get(worker.poolName).maxRetries;
+    const queue = this.#pendingTasks.get(worker.poolName);
 
-    this.#taskCallbacks.set(task.id, callback);
-    leastBusyWorker.send(task);
-    leastBusyWorker.runningTasks++;
+    // Reversed, so that the re-queued tasks keep their order at the head of their tenant's queue
+    for (const entry of [...worker.activeTasks.values()].reverse()) {
+      const taskId = entry.task.id;
+      this.#finishTask(taskId);
+      if (!this.#taskCallbacks.has(taskId)) continue; // cancelled, nobody waits for the result
+
+      entry.retries = entry.retries || 0;
+      if (entry.retries < maxRetries) {
+        entry.retries++;
+        worker.logger.warn(`Re-queueing task ${taskId} of crashed worker ${worker.pid} (retry ${entry.retries}/${maxRetries})`, { taskId });
+        this.#taskCallbacks.delete(taskId);
+        queue.unshift(entry);
+      } else {
+        this.#failTask(taskId, new WorkerCrashedError(taskId, code, signal));
+      }
+    }
+  }
+
+  /**
+   * Replaces a crashed pool worker. Restarts are delayed with exponential backoff, and a pool whose
+   * workers crash `crashLoopThreshold` times within `crashLoopWindowMs` opens its circuit breaker:
+   * queued tasks fail, new tasks are rejected and restarts are put on hold for `crashLoopCooldownMs`.
+   * Workers the manager killed because a task ran into the pool's own `taskTimeout` are replaced right away
+   * and do not count as crashes. Workers killed because their initialization or a task with a shorter timeout
+   * chosen by the client timed out (`worker.killReason`) count as crashes, so that they cannot respawn endlessly.
+   * @param {Object} worker - The worker that has crashed.
+   */
+  #scheduleWorkerRestart(worker) {
+    const poolName = worker.poolName;
+    const config = this.#poolConfigs.get(poolName);
+    const state = this.#poolStates.get(poolName);
+    const exempt = worker.killReason === "poolTaskTimeout";
+
+    const now = Date.now();
+    state.crashes = state.crashes.filter((time) => now - time < config.crashLoopWindowMs);
+    if (!exempt) {
+      state.crashes.push(now);
+    }
+
+    if (state.circuitOpen) {
+      state.restartsOnHold++;
+      return;
+    }
+    if (!exempt && state.crashes.length >= config.crashLoopThreshold) {
+      state.restartsOnHold++;
+      this.#openCircuit(poolName);
+      return;
+    }
+
+    // The first crash within the window is restarted immediately
+    const delay = exempt || state.crashes.length === 1
+      ? 0
+      : Math.min(config.restartBackoffMs * 2 ** (state.crashes.length - 2), config.maxRestartBackoffMs);
+    worker.logger.warn(`Restarting worker ${worker.pid} of pool ${poolName} in ${delay} ms...`);
+    this.emit("workerRestart", { poolName, reason: worker.killReason ? "timeout" : "crash" });
+    setTimeout(() => {
+      if (state.closing) return;
+      if (state.circuitOpen) {
+        state.restartsOnHold++;
+        return;
+      }
+      this.#spawnPoolWorker(worker.workerScript, poolName, worker.memoryLimit);
+    }, delay);
+  }
+
+  /**
+   * Opens the circuit breaker of a crash looping pool and closes it again after the cooldown.
+   * @param {string} poolName - Name of the worker pool.
+   */
+  #openCircuit(poolName) {
+    const config = this.#poolConfigs.get(poolName);
+    const state = this.#poolStates.get(poolName);
+    state.circuitOpen = true;
+    this.#notifyReadyWaiters(poolName);
+    logger.error(`Worker pool ${poolName} is crash looping (${state.crashes.length} crashes within ${config.crashLoopWindowMs} ms), pausing restarts for ${config.crashLoopCooldownMs} ms`);
+
+    this.#failPendingTasks(poolName, new WorkerPoolError(`Worker pool ${poolName} is unavailable after repeated worker crashes`, ERROR_CODES.POOL_UNAVAILABLE));
+
+    setTimeout(() => {
+      if (state.closing) return;
+      logger.info(`Closing circuit breaker of worker pool ${poolName}, restarting ${state.restartsOnHold} workers`);
+      state.circuitOpen = false;
+      state.crashes = [];
+      const restarts = state.restartsOnHold;
+      state.restartsOnHold = 0;
+      for (let i = 0; i < restarts; i++) {
+        this.#spawnPoolWorker(config.workerScript, poolName, config.workerMemoryLimit);
+      }
+    }, config.crashLoopCooldownMs);
+  }
+
+  /**
+   * Dispatches queued tasks of a pool as long as one of its workers has a free slot.
+   * Tasks stay queued while every worker runs `maxActiveTasksPerWorker` tasks.
+   * @param {string} poolName - The pool whose queue should be processed.
+   */
+  #processPendingTasks(poolName) {
+    const queue = this.#pendingTasks.get(poolName);
+    if (!queue) return;
+
+    while (queue.length) {
+      if (!this.#getLeastBusyWorker(poolName)) break;
+
+      const entry = queue.shift();
+      const worker = this.#selectWorker(poolName, entry);
+      entry.startedAt = Date.now();
+      this.#recordTask("recordDispatch", entry.task.id);
+      this.#taskCallbacks.set(entry.task.id, entry.callback);
+      worker.activeTasks.set(entry.task.id, entry);
+      this.#startTask(entry.task, worker, entry.timeout, entry.onProgress);
+      this.#sendTask(worker, entry.task, this.#poolConfigs.get(poolName));
+      worker.runningTasks++;
+      worker.idleSince = null;
+      this.#updateWorkerState(worker);
+
+      worker.taskCount++;
+      const { maxTasksPerWorker } = this.#poolConfigs.get(poolName);
+      if (maxTasksPerWorker && worker.taskCount >= maxTasksPerWorker) {
+        this.#drainWorker(worker, `reached ${maxTasksPerWorker} tasks`);
+      }
+    }
+
+    // A pool that is being removed terminates its workers once all queued tasks are dispatched
+    if (this.#poolStates.get(poolName).closing) {
+      const workers = this.#workerPools.get(poolName);
+      if (!workers.size) {
+        this.#failPendingTasks(poolName, this.#createClosedPoolError(poolName));
+      } else if (!queue.length) {
+        for (const worker of workers) {
+          this.#drainWorker(worker, "pool closing", { replace: false });
+        }
+      }
+    }
+  }
+
+  /**
+   * Empties the queue of a pool and fails all its tasks.
+   * @param {string} poolName - Name of the worker pool.
+   * @param {WorkerPoolError} error - The reason of the failure.
+   */
+  #failPendingTasks(poolName, error) {
+    for (const { task, callback } of this.#pendingTasks.get(poolName).clear()) {
+      callback(this.#createErrorMessage(task.id, error));
+    }
+  }
+
+  /**
+   * Recycles a pool worker: it is replaced right away, receives no new tasks
+   * and terminates once its running tasks are finished.
+   * @param {Object} worker - The worker to recycle.
+   * @param {string} reason - Why the worker is recycled, for logging.
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=true] - Spawn a replacement from the current pool config.
+   */
+  #drainWorker(worker, reason, { replace = true } = {}) {
+    if (worker.state === WORKER_STATES.DRAINING || worker.state === WORKER_STATES.DEAD) return;
+    worker.state = WORKER_STATES.DRAINING;
+    worker.logger.info(`Draining worker ${worker.pid} of pool ${worker.poolName}: ${reason}`);
+    const state = this.#poolStates.get(worker.poolName);
+    const replacement = state.reloadReplacement;
+    if (worker === replacement) {
+      // A reload's replacement is no worker of the pool yet, the reload starts another one
+      state.reloadReplacement = null;
+    } else if (replacement?.replaces === worker) {
+      // The replacement takes the place of the worker, or is not needed if the pool shrinks
+      replacement.replaces = null;
+      if (!replace) {
+        state.reloadReplacement = null;
+        this.#drainWorker(replacement, reason, { replace: false });
+      }
+    } else if (replace && !state.closing) {
+      this.emit("workerRestart", { poolName: worker.poolName, reason: "recycle" });
+      const config = this.#poolConfigs.get(worker.poolName);
+      this.#spawnPoolWorker(config.workerScript, worker.poolName, config.workerMemoryLimit);
+    }
+    this.#terminateIfDrained(worker);
+    this.#continueReload(worker.poolName);
+  }
+
+  /**
+   * Terminates a draining worker once it has no running tasks left.
+   * @param {Object} worker - The pool worker.
+   */
+  #terminateIfDrained(worker) {
+    if (worker.state === WORKER_STATES.DRAINING && worker.runningTasks === 0 && worker.connected) {
+      worker.send({ type: WORKER_MESSAGE_TYPES.TERMINATE });
+    }
+  }
+
+  /**
+   * Spawns workers for an autoscaling pool whose queue holds at least `scaleUpQueueThreshold` tasks: one worker
+   * per `scaleUpQueueThreshold` queued tasks, less the workers that are still initializing, up to `maxWorkers`.
+   * @param {string} poolName - Name of the worker pool.
+   */
+  #scaleUp(poolName) {
+    const config = this.#poolConfigs.get(poolName);
+    const queue = this.#pendingTasks.get(poolName);
+    if (!config.maxWorkers || this.#poolStates.get(poolName).closing) return;
+    if (queue.length < config.scaleUpQueueThreshold) return;
+
+    const workers = this.#getActiveWorkers(poolName);
+    const spawning = workers.filter((worker) => worker.state === WORKER_STATES.SPAWNING).length;
+    const spawnCount = Math.min(Math.ceil(queue.length / config.scaleUpQueueThreshold) - spawning, config.maxWorkers - workers.length);
+    if (spawnCount <= 0) return;
+
+    logger.info(`Scaling up worker pool ${poolName} to ${workers.length + spawnCount} workers, ${queue.length} tasks queued`);
+    for (let i = 0; i < spawnCount; i++) {
+      this.#spawnPoolWorker(config.workerScript, poolName, config.workerMemoryLimit);
+    }
+  }
+
+  /**
+   * Retires workers of autoscaling pools that have been idle for `idleTimeoutMs`, down to `minWorkers`.
+   */
+  #retireIdleWorkers() {
+    const now = Date.now();
+    for (const [poolName, config] of this.#poolConfigs) {
+      if (!config.maxWorkers) continue;
+
+      const workers = this.#getActiveWorkers(poolName);
+      let workerCount = workers.length;
+      for (const worker of workers) {
+        if (workerCount <= config.minWorkers) break;
+        if (worker.idleSince === null || now - worker.idleSince < config.idleTimeoutMs) continue;
+        logger.info(`Scaling down worker pool ${poolName} to ${workerCount - 1} workers`);
+        this.#drainWorker(worker, `idle for ${now - worker.idleSince} ms`, { replace: false });
+        workerCount--;
+      }
+    }
+  }
+
+  /**
+   * Returns the workers of a pool that can receive tasks now or once initialized, i.e. that are neither draining nor killed.
+   * The replacement of a reload counts once it is ready, when the worker it replaces is drained.
+   * @param {string} poolName - Name of the worker pool.
+   * @returns {Object[]} - The active workers.
+   */
+  #getActiveWorkers(poolName) {
+    const replacement = this.#poolStates.get(poolName)?.reloadReplacement;
+    return [...this.#workerPools.get(poolName) || []]
+      .filter((worker) => !worker.killed && worker.state !== WORKER_STATES.DRAINING && worker !== replacement);
+  }
+
+  /**
+   * Counts the initialized workers of a pool that are not draining.
+   * @param {string} poolName - Name of the worker pool.
+   * @returns {number} - The number of ready and busy workers.
+   */
+  #getReadyWorkerCount(poolName) {
+    return this.#getActiveWorkers(poolName)
+      .filter((worker) => worker.state === WORKER_STATES.READY || worker.state === WORKER_STATES.BUSY).length;
+  }
+
+  /**
+   * Sets a ready or busy worker's state from its number of running tasks.
+   * @param {Object} worker - The pool worker.
+   */
+  #updateWorkerState(worker) {
+    if (worker.state !== WORKER_STATES.READY && worker.state !== WORKER_STATES.BUSY) return;
+    const { maxActiveTasksPerWorker } = this.#poolConfigs.get(worker.poolName);
+    worker.state = worker.runningTasks >= maxActiveTasksPerWorker ? WORKER_STATES.BUSY : WORKER_STATES.READY;
+  }
+
+  /**
+   * Determines whether `waitForPoolReady` can resolve.
+   * @param {string} poolName - Name of the worker pool.
+   * @returns {Object|null} - `{ ok: true }` if the pool is ready, `{ ok: false, code, message }` if it will not become ready,
+   *   null while its workers are still initializing.
+   */
+  #getPoolReadiness(poolName) {
+    const res = this.#checkPoolAvailable(poolName);
+    if (!res.ok) {
+      return res;
+    }
+    if (this.#poolStates.get(poolName).circuitOpen) {
+      return { ok: false, code: ERROR_CODES.POOL_UNAVAILABLE, message: `Worker pool ${poolName} is unavailable after repeated worker crashes` };
+    }
+    const config = this.#poolConfigs.get(poolName);
+    return this.#getReadyWorkerCount(poolName) >= (config.minWorkers ?? config.workerCount) ? res : null;
+  }
+
+  /**
+   * Lets the pending `waitForPoolReady` calls of a pool check the pool's readiness again.
+   * @param {string} poolName - Name of the worker pool.
+   */
+  #notifyReadyWaiters(poolName) {
+    for (const check of [...this.#poolStates.get(poolName)?.readyWaiters || []]) {
+      check();
+    }
+  }
+
+  /**
+   * Recycles the workers of pools with `recycleAtMemoryMB` whose memory usage crossed the threshold.
+   */
+  async #checkWorkerMemory() {
+    for (const [poolName, config] of this.#poolConfigs) {
+      if (!config.recycleAtMemoryMB || !this.#workerPools.get(poolName)?.size) continue;
+
+      const { workers } = await this.getWorkerStats(poolName);
+      for (const { pid, stats } of workers) {
+        const memoryMB = stats.memory / 1024 / 1024;
+        if (memoryMB < config.recycleAtMemoryMB) continue;
+        const worker = [...this.#workerPools.get(poolName) || []].find((worker) => worker.pid === pid);
+        if (worker) {
+          this.#drainWorker(worker, `memory usage ${Math.round(memoryMB)}MB exceeds ${config.recycleAtMemoryMB}MB`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns a Promise that resolves once a worker process has exited.
+   * @param {Object} worker - The worker.
+   * @returns {Promise<void>}
+   */
+  #waitForExit(worker) {
+    if (worker.exitCode !== null || worker.signalCode !== null) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => worker.once("exit", () => resolve()));
+  }
+
+  /**
+   * Creates the error for tasks that fail because their pool is removed or the manager shuts down.
+   * @param {string} [poolName] - Name of the removed worker pool.
+   * @returns {WorkerPoolError}
+   */
+  #createClosedPoolError(poolName) {
+    return this.#shutdownPromise
+      ? new WorkerPoolError("Worker manager is shutting down", ERROR_CODES.SHUTTING_DOWN)
+      : new WorkerPoolError(`Worker pool ${poolName} was removed`, ERROR_CODES.POOL_REMOVED);
+  }
+
+  /**
+   * Creates the result for requests that are rejected during shutdown.
+   * @returns {Object} - `{ ok: false, code, message }`
+   */
+  #createShutdownResult() {
+    return { ok: false, code: ERROR_CODES.SHUTTING_DOWN, message: "Worker manager is shutting down" };
+  }
+
+  /**
+   * Checks that the manager is not shutting down and that a pool exists and is not being removed.
+   * @param {string} poolName - Name of the worker pool.
+   * @returns {Object} - `{ ok: true }`, otherwise `{ ok: false, code, message }`.
+   */
+  #checkPoolAvailable(poolName) {
+    if (this.#shutdownPromise) {
+      return this.#createShutdownResult();
+    }
+    const state = this.#poolStates.get(poolName);
+    if (!state) {
+      return { ok: false, code: ERROR_CODES.POOL_NOT_FOUND, message: `Worker pool ${poolName} does not exists` };
+    }
+    if (state.closing) {
+      return { ok: false, code: ERROR_CODES.POOL_UNAVAILABLE, message: `Worker pool ${poolName} is being removed` };
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Registers a task as running on a worker and starts its timeout.
+   * A timed out task fails with `ERROR_CODES.TASK_TIMEOUT` and its worker is killed,
+   * pool workers are replaced by `#managePoolWorkerExit`.
+   * @param {Object} task - The task sent to the worker.
+   * @param {Object} worker - The worker executing the task.
+   * @param {number} timeout - Maximum run time in milliseconds (0 = no timeout).
+   * @param {Function} [onProgress] - Listener for the `progress` and `chunk` messages of the task.
+   */
+  #startTask(task, worker, timeout, onProgress) {
+    this.#runningTasks.set(task.id, worker);
+    if (onProgress) {
+      this.#progressListeners.set(task.id, onProgress);
+    }
+    if (!timeout) return;
+
+    this.#taskTimers.set(task.id, setTimeout(() => {
+      this.#finishTask(task.id);
+      worker.logger.warn(`Task ${task.id} timed out after ${timeout} ms, killing worker ${worker.pid}`, { taskId: task.id });
+      this.#failTask(task.id, new TaskTimeoutError(task.id, timeout));
+      // A shorter timeout than the pool's `taskTimeout` was chosen by the client, see `#scheduleWorkerRestart`
+      worker.killReason = timeout === this.#poolConfigs.get(worker.poolName)?.taskTimeout ? "poolTaskTimeout" : "taskTimeout";
+      worker.kill("SIGKILL");
+    }, timeout));
+  }
+
+  /**
+   * Sends a task to a worker. Task data whose serialized size reaches `payloadFileThreshold` is written
+   * to a payload file, and the worker receives a `payload` handle instead of the `data`; the worker
+   * runtime reads the file before the task is passed to `work`. The file is deleted when the task finishes.
+   * @param {Object} worker - The worker executing the task.
+   * @param {Object} task - The task.
+   * @param {Object} settings - The settings of the pool or one-shot worker.
+   */
+  #sendTask(worker, task, settings) {
+    if (settings.payloadFileThreshold) {
+      const buffer = serializePayload(task.data, settings.serialization);
+      if (buffer?.length >= settings.payloadFileThreshold) {
+        try {
+          const payload = writePayloadFile(task.id, buffer, settings);
+          this.#payloadFiles.set(task.id, payload);
+          const message = { ...task, payload };
+          delete message.data;
+          worker.send(message);
+          return;
+        } catch (err) {
+          worker.logger.warn(`Payload file of task ${task.id} could not be written, sending the data through IPC: ${err.message}`, { taskId: task.id });
+        }
+      }
+    }
+    worker.send(task);
+  }
+
+  /**
+   * Removes a task from the running tasks and clears its timeout.
+   * @param {string} taskId - The id of the task.
+   * @returns {boolean} - False if the task was not running anymore.
+   */
+  #finishTask(taskId) {
+    clearTimeout(this.#taskTimers.get(taskId));
+    this.#taskTimers.delete(taskId);
+    this.#progressListeners.delete(taskId);
+    const payload = this.#payloadFiles.get(taskId);
+    if (payload) {
+      this.#payloadFiles.delete(taskId);
+      removePayloadFile(payload).catch((err) => logger.warn(`Payload file ${payload.path} could not be deleted: ${err.message}`, { taskId }));
+    }
+    this.#runningTasks.get(taskId)?.activeTasks?.delete(taskId);
+    return this.#runningTasks.delete(taskId);
+  }
+
+  /**
+   * Passes a `progress` or `chunk` message on to the onProgress listener of its task.
+   * @param {Object} message - The message of the worker.
+   */
+  #notifyProgress(message) {
+    const listener = this.#progressListeners.get(message.id);
+    if (!listener) return;
+    try {
+      listener(message);
+    } catch (err) {
+      logger.error(`onProgress listener of task ${message.id} failed: ${err.message}`, { taskId: message.id });
+    }
+  }
+
+  /**
+   * Emits the `taskDone` event for an answered pool task.
+   * @param {Object} entry - The queue entry of the task.
+   * @param {Object} message - The message passed to the task's callback.
+   */
+  #emitTaskDone(entry, message) {
+    const now = Date.now();
+    this.emit("taskDone", {
+      poolName: entry.task.poolName,
+      ok: message.ok,
+      code: message.ok ? null : this.#getErrorCode(message),
+      queuedMs: (entry.startedAt ?? now) - entry.enqueuedAt,
+      runMs: entry.startedAt === null ? null : now - entry.startedAt,
+    });
+  }
+
+  /**
+   * Returns the error code of a failed task's message.
+   * @param {Object} message - An `error` message of a worker or the manager.
+   * @returns {string} - The code of a manager error, `ERROR_CODES.TASK_FAILED` for errors reported by the worker.
+   */
+  #getErrorCode(message) {
+    return message.error instanceof WorkerPoolError ? message.error.code : ERROR_CODES.TASK_FAILED;
+  }
+
+  /**
+   * Re-queues the unfinished tasks of the task store. Tasks that were running when the manager stopped
+   * are executed again. Tasks whose pool does not exist anymore or that cannot be queued are recorded as failed.
+   */
+  async #replayTasks() {
+    const tasks = await this.#taskStore.load();
+    if (tasks.length) {
+      logger.info(`Replaying ${tasks.length} unfinished tasks from the task store`);
+    }
+    for (const { id, poolName, data, priority, tenant, affinityKey, timeout } of tasks) {
+      const res = this.#queuePoolTask({ id, data }, () => {}, poolName, { timeout, priority, tenant, affinityKey }, { replayed: true });
+      if (!res.ok) {
+        logger.warn(`Replayed task ${id} of pool ${poolName} failed: ${res.message}`, { poolName, taskId: id });
+        this.#recordTask("recordFailure", id, { message: res.message, code: res.code });
+      }
+    }
+  }
+
+  /**
+   * Records the result of a pool task in the task store.
+   * Tasks failed by a shutdown are not recorded, so that they are replayed after the restart.
+   * @param {string} taskId - The id of the task.
+   * @param {Object} message - The message passed to the task's callback.
+   */
+  #recordTaskResult(taskId, message) {
+    if (message.ok) {
+      this.#recordTask("recordCompletion", taskId, message.data);
+      return;
+    }
+    const code = this.#getErrorCode(message);
+    if (code !== ERROR_CODES.SHUTTING_DOWN) {
+      this.#recordTask("recordFailure", taskId, { message: message.data, code });
+    }
+  }
+
+  /**
+   * Calls a `record*` method of the task store, if one is set. Failures of the store are logged, they do not fail the task.
+   * @param {string} method - Name of the method.
+   * @param {...*} args - Arguments of the method.
+   */
+  #recordTask(method, ...args) {
+    if (!this.#taskStore) return;
+    try {
+      Promise.resolve(this.#taskStore[method](...args))
+        .catch((err) => logger.error(`Task store ${method} failed: ${err.message}`));
+    } catch (err) {
+      logger.error(`Task store ${method} failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Calls the callback of a task with an error message created by the manager.
+   * @param {string} taskId - The id of the failed task.
+   * @param {WorkerPoolError} error - The reason of the failure.
+   */
+  #failTask(taskId, error) {
+    const callback = this.#taskCallbacks.get(taskId);
+    if (!callback) return;
+    this.#taskCallbacks.delete(taskId);
+    callback(this.#createErrorMessage(taskId, error));
+  }
+
+  /**
+   * Creates an error message in the format of a worker's `error` message.
+   * @param {string} taskId - The id of the failed task.
+   * @param {WorkerPoolError} error - The reason of the failure.
+   * @returns {Object} - The message passed to task callbacks.
+   */
+  #createErrorMessage(taskId, error) {
+    return { ok: false, id: taskId, type: WORKER_MESSAGE_TYPES.ERROR, data: error.message, error };
+  }
+
+  /**
+   * Cancels a task. A queued task is removed from its pool's queue, a running task
+   * loses its callback and its worker receives a `cancel` message.
+   * @param {Object} task - The task to cancel.
+   */
+  #cancelTask(task) {
+    if (task.poolName) {
+      this.#recordTask("recordFailure", task.id, { message: `Task ${task.id} was aborted`, code: ERROR_CODES.TASK_ABORTED });
+    }
+    if (this.#pendingTasks.get(task.poolName)?.remove(task.id)) {
+      return;
+    }
+
+    this.#taskCallbacks.delete(task.id);
+    const worker = this.#runningTasks.get(task.id);
+    if (worker) {
+      worker.send({ type: WORKER_MESSAGE_TYPES.CANCEL, id: task.id });
+    }
   }
 
+  /**
+   * Submits a task through the callback API and wraps its outcome in a Promise.
+   * @param {Object} task - The task to submit.
+   * @param {AbortSignal} [signal] - Cancels the task when aborted.
+   * @param {Function} submit - Submits the task with a callback and returns `{ ok, code, message }`.
+   * @returns {Promise<*>} - Resolves with the worker's result data.
+   */
+  #runTaskAsPromise(task, signal, submit) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new TaskAbortedError(task.id));
+        return;
+      }
+
+      const settle = (err, data) => {
+        signal?.removeEventListener("abort", onAbort);
+        if (err) {
+          reject(err);
+        } else {
+          resolve(data);
+        }
+      };
+      const onAbort = () => {
+        this.#cancelTask(task);
+        settle(new TaskAbortedError(task.id));
+      };
+      const callback = (message) => {
+        if (message.ok) {
+          settle(null, message.data);
+        } else {
+          // Errors of the manager are passed on, errors reported by the worker are wrapped
+          settle(message.error instanceof WorkerPoolError ? message.error : new WorkerTaskError(task.id, message.data, message.error));
+        }
+      };
+
+      const res = submit(task, callback);
+      if (!res.ok) {
+        reject(new WorkerPoolError(res.message, res.code));
+        return;
+      }
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Selects the worker for a queued task. A task with an affinity key goes to the worker the key
+   * hashes to, so that tasks with the same key find the worker's caches warm. If that worker is
+   * busy or still initializing, the task goes to the least busy worker instead.
+   * @param {string} poolName - Name of the worker pool.
+   * @param {Object} entry - The queue entry of the task.
+   * @returns {Object|null} - The selected worker, or null if no worker is ready.
+   */
+  #selectWorker(poolName, entry) {
+    if (entry.affinityKey !== undefined) {
+      const workers = this.#syncHashRing(poolName);
+      const worker = workers.get(this.#poolStates.get(poolName).hashRing.get(entry.affinityKey));
+      if (worker?.connected && worker.state === WORKER_STATES.READY) {
+        return worker;
+      }
+    }
+    return this.#getLeastBusyWorker(poolName);
+  }
+
+  /**
+   * Brings the pool's hash ring in line with its active workers. Only the workers that were
+   * added or removed since the last call change the ring, so most keys keep their worker.
+   * @param {string} poolName - Name of the worker pool.
+   * @returns {Map<string, Object>} - The active workers by pid.
+   */
+  #syncHashRing(poolName) {
+    const { hashRing } = this.#poolStates.get(poolName);
+    const workers = new Map(this.#getActiveWorkers(poolName).map((worker) => [String(worker.pid), worker]));
+    for (const node of hashRing.nodes) {
+      if (!workers.has(node)) hashRing.remove(node);
+    }
+    for (const node of workers.keys()) {
+      hashRing.add(node);
+    }
+    return workers;
+  }
+
+  /**
+   * Finds the ready worker of a pool with the fewest running tasks.
+   * Workers that are still initializing, busy or draining are skipped.
+   * @param {string} poolName - Name of the worker pool.
+   * @returns {Object|null} - The selected worker, or null if no worker is ready.
+   */
+  #getLeastBusyWorker(poolName) {
+    let leastBusyWorker = null;
+    for (const worker of this.#workerPools.get(poolName) || []) {
+      if (worker.killed || !worker.connected || worker.state !== WORKER_STATES.READY) continue;
+      if (!leastBusyWorker || worker.runningTasks < leastBusyWorker.runningTasks) {
+        leastBusyWorker = worker;
+      }
+    }
+    return leastBusyWorker;
+  }
+
+}
+
+/**
+ * Merges the settings of a pool or one-shot worker with the defaults.
+ * @param {Object} config - The pool config or the process settings of a one-shot worker.
+ * @returns {Object} - The settings.
+ */
+function createWorkerSettings(config) {
+  const settings = { ...POOL_DEFAULTS, ...config };
+  if (settings.maxWorkers) {
+    settings.minWorkers ??= settings.workerCount ?? 0;
+    settings.workerCount ??= settings.minWorkers;
+  }
+  if (settings.backend === "thread") {
+    // Messages between threads are always copied with the structured clone algorithm
+    settings.serialization = "advanced";
+  }
+  return settings;
+}
+
+/**
+ * Starts a worker with the backend of its settings: a child process, or a worker thread that offers the
+ * same interface (see `threadWorker.js`). Worker threads take the memory limit as limit of their heap.
+ * @param {string} workerScript - Path to the worker's JavaScript file.
+ * @param {number} memoryLimit - Memory limit of the worker in MB.
+ * @param {Object} settings - The settings of the pool or one-shot worker, see `createForkOptions`.
+ * @returns {ChildProcess|ThreadWorker} - The worker.
+ */
+function startWorker(workerScript, memoryLimit, settings) {
+  if (settings.backend === "thread") {
+    const { execArgv, args, stdio } = settings;
+    return new ThreadWorker(path.resolve(workerScript), { memoryLimit, env: createWorkerEnv(settings), execArgv, args, stdio });
+  }
+  const { args, options } = createForkOptions(workerScript, memoryLimit, settings);
+  return fork(path.resolve(workerScript), args, options);
+}
+
+/**
+ * Creates the arguments of `fork` for a worker from the process settings of its pool or one-shot definition.
+ * @param {string} workerScript - Path to the worker's JavaScript file.
+ * @param {number} memoryLimit - Memory limit of the worker (--max-old-space-size).
+ * @param {Object} settings - The process settings:
+ *   `env` (variables set for the worker), `inheritEnv` (true, false or names of the parent's variables to pass on),
+ *   `cwd`, `execArgv` (additional Node options), `args` (arguments of the script), `uid`, `gid`,
+ *   `stdio` ("inherit", "ignore" or "pipe"), `serialization` ("json" or "advanced") and `permissions` (enables
+ *   Node's permission model with `allowFsRead`, `allowFsWrite`, `allowChildProcess` and `allowWorker`).
+ * @returns {Object} - `{ args, options }` for `fork(workerScript, args, options)`.
+ */
+function createForkOptions(workerScript, memoryLimit, settings) {
+  const execArgv = ["--expose-gc", `--max-old-space-size=${memoryLimit}`, ...settings.execArgv || []];
+
+  const { permissions } = settings;
+  if (permissions) {
+    // One flag per path, the worker may always read its script, the worker runtime and its payload files
+    execArgv.push(PERMISSION_FLAG);
+    const allowFsRead = [path.resolve(workerScript), ...WORKER_RUNTIME_FILES, ...permissions.allowFsRead || []];
+    if (settings.payloadFileThreshold) {
+      allowFsRead.push(path.resolve(settings.payloadDir) + path.sep);
+    }
+    for (const file of allowFsRead) {
+      execArgv.push(`--allow-fs-read=${file}`);
+    }
+    for (const file of permissions.allowFsWrite || []) {
+      execArgv.push(`--allow-fs-write=${file}`);
+    }
+    if (permissions.allowChildProcess) {
+      execArgv.push("--allow-child-process");
+    }
+    if (permissions.allowWorker) {
+      execArgv.push("--allow-worker");
+    }
+  }
+
+  const options = { execArgv, env: createWorkerEnv(settings), stdio: STDIO_SETTINGS[settings.stdio] || STDIO_SETTINGS.inherit, serialization: settings.serialization };
+  for (const key of ["cwd", "uid", "gid"]) {
+    if (settings[key] !== undefined) {
+      options[key] = settings[key];
+    }
+  }
+  return { args: settings.args || [], options };
+}
+
+/**
+ * Creates the environment variables of a worker.
+ * @param {Object} settings - `env` and `inheritEnv` of the pool or one-shot worker, see `createForkOptions`.
+ * @returns {Object} - The environment variables.
+ */
+function createWorkerEnv(settings) {
+  // Only the chosen variables of the parent are passed on, so that its secrets do not leak into the workers
+  let env = {};
+  if (settings.inheritEnv === true) {
+    env = { ...process.env };
+  } else if (Array.isArray(settings.inheritEnv)) {
+    for (const name of settings.inheritEnv) {
+      if (name in process.env) {
+        env[name] = process.env[name];
+      }
+    }
+  }
+  return Object.assign(env, settings.env);
 }
 
 module.exports = new WorkerPool();
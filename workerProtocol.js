@@ -0,0 +1,16 @@
+// Types of the messages exchanged between the worker manager and its workers, over IPC or between threads.
+// Shared by workerManager.js and workerRuntime.js, so both sides speak the same protocol.
+const WORKER_MESSAGE_TYPES = {
+  INIT: "init",
+  INIT_DONE: "initDone",
+  WORK: "work",
+  WORK_DONE: "workDone",
+  PROGRESS: "progress",
+  CHUNK: "chunk",
+  TERMINATE: "terminate",
+  CANCEL: "cancel",
+  ERROR: "error",
+  STATS: "stats", // resource usage request of the manager, used for worker threads
+};
+
+module.exports = { WORKER_MESSAGE_TYPES };
@@ -0,0 +1,160 @@
+const v8 = require("v8"); // Heap statistics of worker threads
+const { isMainThread, parentPort, threadId } = require("worker_threads"); // Worker scripts also run in threads of the manager
+const { WORKER_MESSAGE_TYPES } = require("./workerProtocol"); // IPC message types shared with the worker manager
+const { readPayloadFile } = require("./payloadFiles"); // Large task data is passed in files
+
+/**
+ * Turns the current process or worker thread into a worker that speaks the protocol of the worker manager.
+ *
+ * The runtime answers `init` with `initDone`, runs `work` for every task and answers with `workDone`
+ * or `error`, passes `cancel` messages on as an AbortSignal and exits on `terminate`. While a task
+ * runs, `work` can send `progress` updates and `chunk`s of partial results. Task data that the manager
+ * passed in a payload file is read before `work` is called. In a worker thread, messages are exchanged
+ * through the parent port instead of IPC, and `process.exit` ends the thread.
+ * Errors are serialized with name, message, stack and code. An uncaught exception or unhandled
+ * rejection fails all running tasks before the worker exits, so the manager never waits for an answer.
+ *
+ * @param {Object} handlers
+ * @param {Function} [handlers.init] - Called once before the first task, may be async. Its result is reported in `initDone`.
+ * @param {Function} handlers.work - Called with the task and `{ signal, reportProgress, sendChunk }`, may be async.
+ *   Its result is reported in `workDone`. `reportProgress(data)` and `sendChunk(data)` send messages for the task.
+ * @param {Function} [handlers.onTerminate] - Called before the worker exits on `terminate`, may be async.
+ */
+function createWorker({ init, work, onTerminate }) {
+  // Tasks currently being worked on, mapped to their AbortController
+  const activeTasks = new Map();
+
+  // Worker processes receive messages through IPC, worker threads through their parent port
+  const channel = isMainThread ? process : parentPort;
+  channel.on("message", (message) => {
+    switch (message?.type) {
+      case WORKER_MESSAGE_TYPES.INIT:
+        runInit();
+        break;
+      case WORKER_MESSAGE_TYPES.WORK:
+        runTask(message);
+        break;
+      case WORKER_MESSAGE_TYPES.CANCEL:
+        activeTasks.get(message.id)?.abort();
+        break;
+      case WORKER_MESSAGE_TYPES.TERMINATE:
+        terminate();
+        break;
+      case WORKER_MESSAGE_TYPES.STATS:
+        send({ ok: true, type: WORKER_MESSAGE_TYPES.STATS, data: { heapUsed: v8.getHeapStatistics().used_heap_size } });
+        break;
+      default:
+        console.error(`WorkerProcess ${process.pid}: Unknown message type: ${message?.type}`);
+    }
+  });
+
+  // Fail all running tasks instead of leaving the manager waiting for them
+  const handleFatalError = (err) => {
+    console.error(`WorkerProcess ${process.pid}: ${err?.stack || err}`);
+    const error = serializeError(err);
+    const sent = [...activeTasks.keys()].map((taskId) => new Promise((resolve) =>
+      send({ ok: false, id: taskId, type: WORKER_MESSAGE_TYPES.ERROR, data: error.message, error }, resolve),
+    ));
+    // Exit once the messages are delivered
+    Promise.all(sent).finally(() => process.exit(1));
+  };
+  process.on("uncaughtException", handleFatalError);
+  process.on("unhandledRejection", handleFatalError);
+
+  // The manager terminates its workers, Ctrl+C in a terminal must not kill them behind its back
+  process.on("SIGINT", () => {});
+  // Without the manager nobody will send tasks or `terminate` anymore, a thread ends with the manager anyway
+  process.on("disconnect", () => process.exit(0));
+
+  /**
+   * Runs the `init` handler and reports its result.
+   */
+  async function runInit() {
+    try {
+      const result = init ? await init() : undefined;
+      send({ ok: true, type: WORKER_MESSAGE_TYPES.INIT_DONE, data: { pid: isMainThread ? process.pid : threadId, result } });
+    } catch (err) {
+      // A worker that cannot initialize is useless, the manager replaces it
+      console.error(`WorkerProcess ${process.pid}: init failed: ${err.stack}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Runs the `work` handler for a task and reports its result or error.
+   * @param {Object} task - The task sent by the manager.
+   */
+  async function runTask(task) {
+    const controller = new AbortController();
+    activeTasks.set(task.id, controller);
+    // Updates are only sent while the task runs, the manager drops them afterwards anyway
+    const sendUpdate = (type, data) => {
+      if (activeTasks.has(task.id)) {
+        send({ ok: true, id: task.id, type, data });
+      }
+    };
+    try {
+      if (task.payload) {
+        task.data = await readPayloadFile(task.payload);
+        delete task.payload;
+      }
+      const data = await work(task, {
+        signal: controller.signal,
+        reportProgress: (progress) => sendUpdate(WORKER_MESSAGE_TYPES.PROGRESS, progress),
+        sendChunk: (chunk) => sendUpdate(WORKER_MESSAGE_TYPES.CHUNK, chunk),
+      });
+      if (controller.signal.aborted) {
+        // The manager is no longer waiting for the result, but needs the reply to free the worker slot.
+        throw new Error(`Task ${task.id} was cancelled`);
+      }
+      send({ ok: true, id: task.id, type: WORKER_MESSAGE_TYPES.WORK_DONE, data });
+    } catch (err) {
+      console.error(`WorkerProcess ${process.pid}: ${err.message}`);
+      send({ ok: false, id: task.id, type: WORKER_MESSAGE_TYPES.ERROR, data: err.message, error: serializeError(err) });
+    } finally {
+      activeTasks.delete(task.id);
+    }
+  }
+
+  /**
+   * Runs the `onTerminate` handler and exits.
+   */
+  async function terminate() {
+    try {
+      await onTerminate?.();
+    } catch (err) {
+      console.error(`WorkerProcess ${process.pid}: onTerminate failed: ${err.message}`);
+    }
+    process.exit(0);
+  }
+}
+
+/**
+ * Sends a message to the manager, if it is still connected.
+ * @param {Object} message - The message.
+ * @param {Function} [callback] - Called once the message is sent or could not be sent.
+ */
+function send(message, callback) {
+  if (!isMainThread) {
+    parentPort.postMessage(message);
+    callback?.();
+  } else if (process.connected) {
+    process.send(message, callback);
+  } else {
+    callback?.();
+  }
+}
+
+/**
+ * Converts an error into a plain object that survives the IPC serialization.
+ * @param {*} err - The error, or any other thrown value.
+ * @returns {Object} - `name`, `message`, `stack` and `code` of the error.
+ */
+function serializeError(err) {
+  if (!(err instanceof Error)) {
+    return { name: "Error", message: String(err) };
+  }
+  return { name: err.name, message: err.message, stack: err.stack, code: err.code };
+}
+
+module.exports = { createWorker };
@@ -1,90 +1,17 @@
-// Constants for different message types.
-const MESSAGE_TYPES = {
-  INIT: "init",
-  WORK: "work",
-  TERMINATE: "terminate",
-  INIT_DONE: "initDone",
-  WORK_DONE: "workDone",
-  ERROR: "error",
-};
-
-// Listen for messages from the main process.
-process.on("message", async (task) => {
-  try {
-    await processTask(task);
-  } catch (err) {
-    reportError(task, err);
-    throw err;
-  }
-});
-
-/**
- * Processes incoming tasks based on their type.
- * @param {Object} task - The task to be processed.
- */
-async function processTask(task) {
-  let response = {
-    ok: true,
-    data: {},
-    id: task.id,
-  };
-
-  switch (task.type) {
-    case MESSAGE_TYPES.INIT:
-      response.data = init();
-      response.type = MESSAGE_TYPES.INIT_DONE;
-      break;
-    case MESSAGE_TYPES.WORK:
-      response.data = await work(task);
-      response.type = MESSAGE_TYPES.WORK_DONE;
-      break;
-    case MESSAGE_TYPES.TERMINATE:
-      process.exit(0);
-      return; // Exit immediately without sending a response.
-    default:
-      console.error(
-        `WorkerProcess ${process.pid}: Unknown task type: ${task.type}`,
-      );
-      return;
-  }
-
-  // Send the response back to the main process.
-  process.send(response);
-}
-
-/**
- * Reports errors encountered during task processing.
- * @param {Object} task - The task that triggered the error.
- * @param {Error} err - The encountered error.
- */
-function reportError(task, err) {
-  console.error(`WorkerProcess ${process.pid}: ${err.message}`);
-  process.send({
-    ok: false,
-    id: task.id,
-    data: err.message,
-    type: MESSAGE_TYPES.ERROR,
-  });
-}
-
-/**
- * Initialize the worker and set up error listeners.
- * @returns {Object} - An object containing the worker's PID.
- */
-function init() {
-  return { pid: process.pid };
-}
+const { createWorker } = require("../workerRuntime"); // Handles the IPC protocol with the worker manager
 
+createWorker({ work });
 
 /**
  * Processes a given task.
  * @param {Object} task - The task to be processed.
+ * @param {Object} context - The task context of the worker runtime.
  * @returns {Object} - The processed task.
  */
-async function work(task) {
+async function work(task, { signal, reportProgress }) {
   if (task) {
     //Simulate some work
-    await generateCPULoad(task.data.duration)
+    await generateCPULoad(task.data.duration, signal, reportProgress)
     //throw new Error('This is a test error.');
   }
   return task;
@@ -92,12 +19,22 @@ async function work(task) {
 
 /**
  * Simulates CPU load for a given duration.
+ * The load is generated in slices, between which progress is reported and a cancellation is noticed.
  * @param {number} ms - Duration in milliseconds.
+ * @param {AbortSignal} signal - Stops the load early when aborted.
+ * @param {Function} reportProgress - Called with `{ percent }` after every slice.
  */
-async function generateCPULoad(ms = 2000) {
+async function generateCPULoad(ms = 2000, signal, reportProgress) {
   const start = performance.now();
   const end = start + ms;
-  while (performance.now() < end) {
-    // Keep the CPU busy
+  const sliceMs = Math.max(ms / 10, 100);
+  while (performance.now() < end && !signal?.aborted) {
+    const sliceEnd = Math.min(performance.now() + sliceMs, end);
+    while (performance.now() < sliceEnd) {
+      // Keep the CPU busy
+    }
+    reportProgress?.({ percent: Math.round(((performance.now() - start) / ms) * 100) });
+    // Let the cancel message of the worker manager through
+    await new Promise((resolve) => setImmediate(resolve));
   }
 }